@@ -0,0 +1,33 @@
+// Minimal stand-in for AbortController in environments lacking it.
+// Only the parts async validators are expected to use are provided.
+export function createFallbackAbortController() {
+  const listeners = []
+  const signal = {
+    aborted: false,
+    onabort: null,
+    addEventListener(type, listener) {
+      if (type === 'abort') listeners.push(listener)
+    },
+    removeEventListener(type, listener) {
+      const index = listeners.indexOf(listener)
+      if (type === 'abort' && index !== -1) listeners.splice(index, 1)
+    }
+  }
+
+  return {
+    signal,
+    abort() {
+      if (signal.aborted) return
+      signal.aborted = true
+      const event = { type: 'abort', target: signal }
+      if (typeof signal.onabort === 'function') signal.onabort(event)
+      listeners.slice().forEach((listener) => listener(event))
+    }
+  }
+}
+
+export function createAbortController() {
+  return typeof AbortController !== 'undefined'
+    ? new AbortController()
+    : createFallbackAbortController()
+}
@@ -0,0 +1,70 @@
+// Adapters turning common API error formats into external results,
+// ready to be passed to `$setExternalResults`.
+import { isObject } from './utils'
+
+function addResult(results, path, message) {
+  if (typeof message !== 'string' || message === '') return
+  results[path] = [...(results[path] || []), message]
+}
+
+const unescapePointer = (segment) =>
+  segment.replace(/~1/g, '/').replace(/~0/g, '~')
+
+// Accepts dotted paths, `items[0].name` and JSON pointers
+export function normalizePath(path) {
+  if (typeof path !== 'string') return ''
+  if (path === '' || path.charAt(0) === '/') {
+    return path
+      .split('/')
+      .slice(1)
+      .map(unescapePointer)
+      .join('.')
+  }
+  return path.replace(/\[([^\]]*)\]/g, '.$1').replace(/^\./, '')
+}
+
+// RFC 7807 problem details: `{ 'invalid-params': [{ name, reason }] }`
+export function fromProblemDetails(body) {
+  const results = {}
+  const params = isObject(body) ? body['invalid-params'] : null
+  if (Array.isArray(params)) {
+    params.forEach((param) => {
+      if (!isObject(param)) return
+      addResult(results, normalizePath(param.name), param.reason)
+    })
+  }
+  return results
+}
+
+const jsonApiPrefix = /^(data\.attributes|data\.relationships|data)(\.|$)/
+
+// JSON:API: `{ errors: [{ detail, source: { pointer } }] }`. Errors
+// without a pointer are assigned to the root.
+export function fromJsonApi(body) {
+  const results = {}
+  const errors = isObject(body) ? body.errors : null
+  if (Array.isArray(errors)) {
+    errors.forEach((error) => {
+      if (!isObject(error)) return
+      const pointer = error.source && error.source.pointer
+      const path = normalizePath(pointer).replace(jsonApiPrefix, '')
+      addResult(results, path, error.detail || error.title)
+    })
+  }
+  return results
+}
+
+// Laravel: `{ errors: { 'items.0.name': ['...'] } }`
+export function fromLaravel(body) {
+  const results = {}
+  const errors = isObject(body) ? body.errors : null
+  if (isObject(errors) && !Array.isArray(errors)) {
+    Object.keys(errors).forEach((key) => {
+      const messages = Array.isArray(errors[key]) ? errors[key] : [errors[key]]
+      messages.forEach((message) =>
+        addResult(results, normalizePath(key), message)
+      )
+    })
+  }
+  return results
+}
@@ -0,0 +1,48 @@
+// Keeps ARIA attributes of an element in sync with a `$v` model:
+// `aria-invalid` while it has `$error`, `aria-busy` while it is `$pending`
+// and `aria-describedby` pointing at its error message element. The id
+// of that element is the directive argument, or the element id suffixed
+// with `-error`, e.g. `<input id="email" v-aria="$v.email">` is described
+// by `<span id="email-error">`.
+import { modelDirective } from './directives'
+
+let uid = 0
+
+function setAttribute(el, name, on) {
+  if (on) {
+    el.setAttribute(name, 'true')
+  } else {
+    el.removeAttribute(name)
+  }
+}
+
+function setDescribedBy(el, id, on) {
+  const ids = (el.getAttribute('aria-describedby') || '')
+    .split(/\s+/)
+    .filter((token) => token && token !== id)
+  if (on) ids.push(id)
+  if (ids.length > 0) {
+    el.setAttribute('aria-describedby', ids.join(' '))
+  } else {
+    el.removeAttribute('aria-describedby')
+  }
+}
+
+export function getErrorId(el, arg) {
+  if (arg) return arg
+  if (!el.id) el.id = `vuelidate-field-${++uid}`
+  return `${el.id}-error`
+}
+
+function apply(el, model, { errorId }) {
+  const error = !!model && !!model.$error
+  setAttribute(el, 'aria-invalid', error)
+  setAttribute(el, 'aria-busy', !!model && !!model.$pending)
+  setDescribedBy(el, errorId, error)
+}
+
+export const vAria = modelDirective(
+  (model) => [model.$error, model.$pending],
+  apply,
+  (el, { arg }) => ({ errorId: getErrorId(el, arg) })
+)
@@ -0,0 +1,68 @@
+// Live region announcing errors of a `$v` tree as they appear. Only
+// errors of models with `$error` which were not shown before are read.
+import { getPath } from '../utils'
+
+const hidden = {
+  position: 'absolute',
+  width: '1px',
+  height: '1px',
+  margin: '-1px',
+  padding: '0',
+  overflow: 'hidden',
+  clip: 'rect(0 0 0 0)',
+  whiteSpace: 'nowrap',
+  border: '0'
+}
+
+const errorKey = (error) => [...error.path, error.name].join('.')
+
+export default {
+  name: 'ValidationAnnouncer',
+  props: {
+    v: {
+      type: Object,
+      required: true
+    },
+    politeness: {
+      type: String,
+      default: 'polite',
+      validator: (value) => ['polite', 'assertive'].indexOf(value) !== -1
+    }
+  },
+  data() {
+    return {
+      announcement: ''
+    }
+  },
+  computed: {
+    visibleErrors() {
+      return this.v.$errors.filter((error) => {
+        const model = getPath(null, this.v, error.path)
+        return !!model && model.$error
+      })
+    }
+  },
+  watch: {
+    visibleErrors(errors, previous) {
+      const shown = previous.map(errorKey)
+      const added = errors.filter(
+        (error) => shown.indexOf(errorKey(error)) === -1
+      )
+      if (added.length > 0) {
+        this.announcement = added.map((error) => error.message).join('. ')
+      } else if (errors.length === 0) {
+        this.announcement = ''
+      }
+    }
+  },
+  render(h) {
+    return h(
+      'div',
+      {
+        attrs: { role: 'status', 'aria-live': this.politeness },
+        style: hidden
+      },
+      this.announcement
+    )
+  }
+}
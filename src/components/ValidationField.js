@@ -0,0 +1,38 @@
+import { renderSlot } from './renderless'
+
+// Exposes the state of a single `$v` model to its scoped slot
+export default {
+  name: 'ValidationField',
+  props: {
+    v: {
+      type: Object,
+      required: true
+    }
+  },
+  computed: {
+    messages() {
+      return this.v.$errors.map((error) => error.message)
+    }
+  },
+  methods: {
+    touch() {
+      this.v.$touch()
+    },
+    reset() {
+      this.v.$reset()
+    }
+  },
+  render() {
+    return renderSlot(this, {
+      error: this.v.$error,
+      invalid: this.v.$invalid,
+      pending: this.v.$pending,
+      dirty: this.v.$dirty,
+      message: this.v.$message,
+      messages: this.messages,
+      model: this.v,
+      touch: this.touch,
+      reset: this.reset
+    })
+  }
+}
@@ -0,0 +1,47 @@
+import { renderSlot } from './renderless'
+
+// Handles submission of a whole `$v` tree. `submit` touches it, waits
+// for pending async validators and then emits `submit` when the tree
+// is valid or `invalid` otherwise.
+export default {
+  name: 'ValidationForm',
+  props: {
+    v: {
+      type: Object,
+      required: true
+    }
+  },
+  data() {
+    return {
+      submitting: false
+    }
+  },
+  methods: {
+    submit(event) {
+      if (event && typeof event.preventDefault === 'function') {
+        event.preventDefault()
+      }
+      this.submitting = true
+      return this.v.$submit().then((valid) => {
+        this.submitting = false
+        this.$emit(valid ? 'submit' : 'invalid', this.v)
+        return valid
+      })
+    },
+    reset() {
+      this.v.$reset()
+    }
+  },
+  render() {
+    return renderSlot(this, {
+      error: this.v.$anyError,
+      invalid: this.v.$invalid,
+      pending: this.v.$pending,
+      dirty: this.v.$anyDirty,
+      errors: this.v.$errors,
+      submitting: this.submitting,
+      submit: this.submit,
+      reset: this.reset
+    })
+  }
+}
@@ -0,0 +1,3 @@
+export { default as ValidationField } from './ValidationField'
+export { default as ValidationForm } from './ValidationForm'
+export { default as ValidationAnnouncer } from './ValidationAnnouncer'
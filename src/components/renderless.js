@@ -0,0 +1,10 @@
+// Renders the default scoped slot with the given props, without any
+// wrapping element. The slot has to render a single root node.
+export function renderSlot(vm, props) {
+  const slot = vm.$scopedSlots.default
+  const nodes = slot ? slot(props) : vm.$slots.default
+  if (Array.isArray(nodes)) {
+    return nodes.length === 1 ? nodes[0] : vm.$createElement('div', nodes)
+  }
+  return nodes || null
+}
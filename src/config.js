@@ -0,0 +1,28 @@
+// Global options of vuelidate, set through the plugin install options.
+export const config = {
+  // ms after which pending async validators give up, 0 waits forever
+  asyncTimeout: 0,
+  // state of timed out validators: 'error', 'invalid' or 'valid'
+  asyncTimeoutOutcome: 'error',
+  // mark models dirty whenever their value changes
+  autoDirty: false,
+  // skip the remaining rules of a model once one of them fails
+  stopOnFirstFailure: false
+}
+
+export const timeoutOutcomes = ['error', 'invalid', 'valid']
+
+export function checkTimeoutOutcome(outcome) {
+  if (timeoutOutcomes.indexOf(outcome) === -1) {
+    throw new Error(`timeout outcome must be one of: ${timeoutOutcomes}`)
+  }
+}
+
+export function configure(options) {
+  if (!options) return
+  Object.keys(config).forEach((key) => {
+    if (options[key] === undefined) return
+    if (key === 'asyncTimeoutOutcome') checkTimeoutOutcome(options[key])
+    config[key] = options[key]
+  })
+}
@@ -0,0 +1,93 @@
+// Derives a validations object from HTML constraint attributes of form
+// controls, keyed by their `name`. Dotted names produce nested models.
+import {
+  required,
+  minLength,
+  maxLength,
+  minValue,
+  maxValue,
+  email,
+  url,
+  helpers
+} from './validators'
+
+const controls = 'input, select, textarea'
+const ignoredTypes = ['submit', 'button', 'reset', 'image', 'hidden', 'file']
+
+// checkboxes have to be checked, the model of a single one is a boolean
+const checked = helpers.withParams(
+  { type: 'required' },
+  (value) => value === true || (Array.isArray(value) && value.length > 0)
+)
+
+function getNumber(el, name) {
+  const attr = el.getAttribute(name)
+  if (attr === null || attr.trim() === '') return null
+  const number = Number(attr)
+  return isNaN(number) ? null : number
+}
+
+function getPattern(el) {
+  const pattern = el.getAttribute('pattern')
+  if (pattern === null) return null
+  try {
+    // patterns have to match the whole value
+    return { pattern, expr: new RegExp(`^(?:${pattern})$`) }
+  } catch (e) {
+    // browsers ignore invalid patterns as well
+    return null
+  }
+}
+
+export function getConstraints(el) {
+  const type = (el.getAttribute('type') || '').toLowerCase()
+  const rules = {}
+  if (el.hasAttribute('required')) {
+    rules.required = type === 'checkbox' ? checked : required
+  }
+  const min = getNumber(el, 'minlength')
+  if (min !== null && min >= 0) rules.minLength = minLength(min)
+  const max = getNumber(el, 'maxlength')
+  if (max !== null && max >= 0) rules.maxLength = maxLength(max)
+  const minNumber = getNumber(el, 'min')
+  if (minNumber !== null) rules.minValue = minValue(minNumber)
+  const maxNumber = getNumber(el, 'max')
+  if (maxNumber !== null) rules.maxValue = maxValue(maxNumber)
+  const pattern = getPattern(el)
+  if (pattern) {
+    rules.pattern = helpers.regex('pattern', pattern.expr, {
+      pattern: pattern.pattern
+    })
+  }
+  if (type === 'email') rules.email = email
+  if (type === 'url') rules.url = url
+  return rules
+}
+
+function setIn(validations, path, rules) {
+  const key = path[0]
+  if (path.length === 1) {
+    validations[key] = { ...validations[key], ...rules }
+    return
+  }
+  if (!validations[key]) validations[key] = {}
+  setIn(validations[key], path.slice(1), rules)
+}
+
+export function fromConstraints(root) {
+  if (!root || typeof root.querySelectorAll !== 'function') {
+    throw new Error('fromConstraints requires a form or a container element')
+  }
+  const validations = {}
+  const elements = root.querySelectorAll(controls)
+  for (let i = 0; i < elements.length; i++) {
+    const el = elements[i]
+    const type = (el.getAttribute('type') || '').toLowerCase()
+    if (!el.name || el.disabled || ignoredTypes.indexOf(type) !== -1) continue
+    const rules = getConstraints(el)
+    if (Object.keys(rules).length > 0) {
+      setIn(validations, el.name.split('.'), rules)
+    }
+  }
+  return validations
+}
@@ -0,0 +1,122 @@
+// Directives signalling DOM events to a `$v` model, which is passed as
+// the directive value, e.g. `v-blur="$v.email"` or `v-submit="$v"`.
+
+// `getOptions` maps the directive binding to the listened events, the
+// called model method, an optional debounce wait in ms and whether the
+// default action of the events is prevented
+function listenerDirective(getOptions) {
+  const bindings = new WeakMap()
+  return {
+    bind(el, binding) {
+      const { events, method, wait, prevent } = getOptions(binding)
+      const state = { model: binding.value, events, timer: null }
+      const call = () => {
+        state.timer = null
+        const model = state.model
+        if (model && typeof model[method] === 'function') model[method]()
+      }
+      state.handler = (event) => {
+        if (prevent) event.preventDefault()
+        clearTimeout(state.timer)
+        if (wait > 0) {
+          state.timer = setTimeout(call, wait)
+        } else {
+          call()
+        }
+      }
+      bindings.set(el, state)
+      events.forEach((event) => el.addEventListener(event, state.handler))
+    },
+    update(el, { value }) {
+      const state = bindings.get(el)
+      if (state) state.model = value
+    },
+    unbind(el) {
+      const state = bindings.get(el)
+      if (!state) return
+      clearTimeout(state.timer)
+      state.events.forEach((event) =>
+        el.removeEventListener(event, state.handler)
+      )
+      bindings.delete(el)
+    }
+  }
+}
+
+// `apply(el, model, options)` is called on bind, when the bound model
+// changes and when the values returned by `watched(model)` change. These
+// are watched, so the element follows the model without a re-render.
+export function modelDirective(watched, apply, getOptions = () => null) {
+  const bindings = new WeakMap()
+  const watch = (el, state) => {
+    const model = state.model
+    if (state.unwatch) state.unwatch()
+    state.unwatch = model
+      ? state.context.$watch(
+          () => watched(model),
+          () => apply(el, model, state.options)
+        )
+      : null
+    apply(el, model, state.options)
+  }
+  return {
+    bind(el, binding, vnode) {
+      const state = {
+        model: binding.value,
+        context: vnode.context,
+        options: getOptions(el, binding),
+        unwatch: null
+      }
+      bindings.set(el, state)
+      watch(el, state)
+    },
+    update(el, { value }) {
+      const state = bindings.get(el)
+      if (!state || state.model === value) return
+      state.model = value
+      watch(el, state)
+    },
+    unbind(el) {
+      const state = bindings.get(el)
+      if (!state) return
+      if (state.unwatch) state.unwatch()
+      bindings.delete(el)
+    }
+  }
+}
+
+// focusout bubbles, so blurs of inputs inside components are caught too
+export const vBlur = listenerDirective(() => ({
+  events: ['focusout'],
+  method: '$blur'
+}))
+
+// the native submit is prevented, as `$submit` may resolve asynchronously
+export const vSubmit = listenerDirective(() => ({
+  events: ['submit'],
+  method: '$submit',
+  prevent: true
+}))
+
+const touchEvents = {
+  blur: 'focusout',
+  change: 'change',
+  input: 'input'
+}
+
+// `v-touch:300.blur="$v.name"` touches on blur only, debounced by 300ms.
+// Without modifiers it touches on blur and change.
+export const vTouch = listenerDirective(({ arg, modifiers }) => {
+  const wait = arg === undefined ? 0 : Number(arg)
+  if (isNaN(wait) || wait < 0) {
+    throw new Error('v-touch argument must be a debounce wait in ms')
+  }
+  const events = Object.keys(touchEvents)
+    .filter((key) => modifiers[key])
+    .map((key) => touchEvents[key])
+  return {
+    events: events.length > 0 ? events : [touchEvents.blur, touchEvents.change],
+    method: '$touch',
+    wait
+  }
+})
@@ -0,0 +1,70 @@
+// Store of validation results coming from outside, e.g. a server, keyed
+// by the dotted path of the model value they belong to. An entry is
+// dropped as soon as the value at its path changes.
+import { getPath, isObject } from './utils'
+
+export const pathKey = (path) => path.join('.')
+
+const toMessages = (value) =>
+  (Array.isArray(value) ? value : [value]).filter(
+    (message) => typeof message === 'string' && message !== ''
+  )
+
+const isUnder = (key, base) =>
+  base === '' || key === base || key.indexOf(`${base}.`) === 0
+
+export function createExternalStore(Vue, getModel) {
+  return new Vue({
+    data: {
+      results: {}
+    },
+    beforeCreate() {
+      this._unwatchers = {}
+    },
+    beforeDestroy() {
+      this.clear([])
+    },
+    methods: {
+      get(path) {
+        const entry = this.results[pathKey(path)]
+        return entry ? entry : []
+      },
+      // `resolve` maps relative path segments to model path segments
+      set(base, results, resolve = (segments) => segments) {
+        if (!isObject(results)) {
+          throw new Error('external results must be an object')
+        }
+        this.clear(base)
+        Object.keys(results).forEach((relative) => {
+          const messages = toMessages(results[relative])
+          if (messages.length === 0) return
+          const segments = relative === '' ? [] : relative.split('.')
+          this.add([...base, ...resolve(segments)], messages)
+        })
+      },
+      add(path, messages) {
+        const key = pathKey(path)
+        const current = this.get(path)
+        this.remove(key)
+        this.$set(this.results, key, [...current, ...messages])
+        this._unwatchers[key] = this.$watch(
+          () => getPath(null, getModel(), path),
+          () => this.remove(key)
+        )
+      },
+      remove(key) {
+        if (this._unwatchers[key]) {
+          this._unwatchers[key]()
+          delete this._unwatchers[key]
+        }
+        this.$delete(this.results, key)
+      },
+      clear(base) {
+        const prefix = pathKey(base)
+        Object.keys(this.results)
+          .filter((key) => isUnder(key, prefix))
+          .forEach((key) => this.remove(key))
+      }
+    }
+  })
+}
@@ -0,0 +1,73 @@
+// Finding and focusing the first erroneous model of a `$v` tree, in the
+// declaration order of `$flattenParams`.
+import { isObject, getPath } from './utils'
+
+// elements registered with the `vFocusTarget` directive
+const targets = []
+
+export const vFocusTarget = {
+  bind(el, { value }) {
+    targets.push({ el, model: value })
+  },
+  update(el, { value }) {
+    targets.filter((target) => target.el === el).forEach((target) => {
+      target.model = value
+    })
+  },
+  unbind(el) {
+    for (let i = targets.length - 1; i >= 0; i--) {
+      if (targets[i].el === el) targets.splice(i, 1)
+    }
+  }
+}
+
+// Returns `{ path, model }` of the first model with `$error`, where `path`
+// is the model path without `$each`, or null when there is none.
+export function findFirstError(v) {
+  if (!v || !v.$anyError) return null
+  const params = v.$flattenParams()
+  for (let i = 0; i < params.length; i++) {
+    const path = params[i].path
+    const model = getPath(null, v, path)
+    if (model && model.$error) {
+      return { path: path.filter((key) => key !== '$each'), model }
+    }
+  }
+  return v.$error ? { path: [], model: v } : null
+}
+
+const focusable =
+  'input, select, textarea, button, [tabindex], [contenteditable]'
+
+function toElement(ref) {
+  if (Array.isArray(ref)) return toElement(ref[0])
+  if (isObject(ref) && ref.$el) return ref.$el
+  return ref || null
+}
+
+function findElement(error, refs) {
+  const key = error.path.join('.')
+  if (refs && refs[key]) return toElement(refs[key])
+  const target = targets.filter((t) => t.model === error.model)[0]
+  return target ? target.el : null
+}
+
+// Scrolls to and focuses the element of the first erroneous model. Elements
+// are looked up in `options.refs`, keyed by dotted model paths like
+// `items.0.name`, and then among the ones registered with `vFocusTarget`.
+// Returns the found error or null.
+export function focusFirstError(v, options = {}) {
+  const error = findFirstError(v)
+  if (!error) return null
+  const el = findElement(error, options.refs)
+  if (!el) return error
+  if (options.scroll !== false && typeof el.scrollIntoView === 'function') {
+    el.scrollIntoView(
+      isObject(options.scroll) ? options.scroll : { block: 'center' }
+    )
+  }
+  const input =
+    el.matches && el.matches(focusable) ? el : el.querySelector(focusable)
+  if (input && typeof input.focus === 'function') input.focus()
+  return error
+}
@@ -1,41 +1,21 @@
 import { h, patchChildren } from './vval'
+import {
+  buildFromKeys,
+  isObject,
+  isPromise,
+  getPath,
+  groupKey,
+  getValidationKeys
+} from './utils'
 
 const NIL = () => null
 
-const buildFromKeys = (keys, fn, keyFn) =>
-  keys.reduce((build, key) => {
-    build[keyFn ? keyFn(key) : key] = fn(key)
-    return build
-  }, {})
-
-function isFunction(val) {
-  return typeof val === 'function'
-}
-
-function isObject(val) {
-  return val !== null && (typeof val === 'object' || isFunction(val))
-}
-
-function isPromise(object) {
-  return isObject(object) && isFunction(object.then)
-}
-
-const getPath = (ctx, obj, path, fallback) => {
-  if (typeof path === 'function') {
-    return path.call(ctx, obj, fallback)
-  }
-
-  path = Array.isArray(path) ? path : path.split('.')
-  for (let i = 0; i < path.length; i++) {
-    if (obj && typeof obj === 'object') {
-      obj = obj[path[i]]
-    } else {
-      return fallback
-    }
-  }
-
-  return typeof obj === 'undefined' ? fallback : obj
-}
+// validations enabling `$autoDirty` for some of their models
+const hasAutoDirty = (vals) =>
+  vals !== null &&
+  typeof vals === 'object' &&
+  (vals.$autoDirty === true ||
+    Object.keys(vals).some((key) => hasAutoDirty(vals[key])))
 
 const findParent = (obj) => {
   let parent = obj.$parent
@@ -52,26 +32,85 @@ const getPropertyDescriptor = (obj, key) => {
   )
 }
 
-import { withParams, pushParams, popParams } from './params'
+import { withParams, pushParams, popParams, unwrapParams } from './params'
+import { createAbortController } from './abort'
+import { config, configure } from './config'
+import { withTimeout, createTimeoutError } from './timeout'
+import { withSeverity } from './severity'
+import {
+  ruleResult,
+  stopsEvaluation,
+  errorKeys,
+  warningKeys,
+  collectEntries
+} from './results'
+import { validate, validateAsync } from './validate'
+import { createExternalStore } from './external'
+import { fromProblemDetails, fromJsonApi, fromLaravel } from './adapters'
+import { vBlur, vSubmit, vTouch } from './directives'
+import {
+  ValidationField,
+  ValidationForm,
+  ValidationAnnouncer
+} from './components'
+import { vAria } from './aria'
+import { vValidity } from './validity'
+import { fromConstraints } from './constraints'
+import { toJsonSchema, fromJsonSchema } from './jsonSchema'
+import { registerRule, parseRules } from './rules'
+import { vFocusTarget, findFirstError, focusFirstError } from './focus'
+import {
+  withMessage,
+  renderMessage,
+  bindMessages,
+  configureMessages,
+  addMessages,
+  setLocale,
+  getLocale
+} from './messages'
 
 const __isVuelidateAsyncVm = '__isVuelidateAsyncVm'
-function makePendingAsyncVm(Vue, promise) {
+function makePendingAsyncVm(Vue, promise, controller, timeout) {
+  const signal = controller.signal
   const asyncVm = new Vue({
     data: {
       p: true, // pending
-      v: false // value
+      v: false, // value
+      e: null, // error
+      t: false // timed out
     }
   })
 
+  let timer = null
+  if (timeout.ms > 0) {
+    timer = setTimeout(() => {
+      if (signal.aborted) return
+      // drop the late result and let the validator stop its work
+      controller.abort()
+      asyncVm.p = false
+      asyncVm.t = true
+      asyncVm.v = timeout.outcome === 'valid'
+      if (timeout.outcome === 'error') {
+        asyncVm.e = createTimeoutError(timeout.ms)
+      }
+    }, timeout.ms)
+    signal.addEventListener('abort', () => clearTimeout(timer))
+  }
+
+  // results of superseded runs are dropped, so the last run always wins
   promise.then(
     (value) => {
+      if (signal.aborted) return
+      clearTimeout(timer)
       asyncVm.p = false
       asyncVm.v = value
     },
     (error) => {
+      if (signal.aborted) return
+      clearTimeout(timer)
       asyncVm.p = false
       asyncVm.v = false
-      throw error
+      asyncVm.e = error || new Error('Async validator rejected')
     }
   )
 
@@ -83,8 +122,9 @@ const validationGetters = {
   $invalid() {
     const proxy = this.proxy
     return (
+      this.$externalResults.length > 0 ||
       this.nestedKeys.some((nested) => this.refProxy(nested).$invalid) ||
-      this.ruleKeys.some((rule) => !proxy[rule])
+      this.errorKeys.some((rule) => !proxy[rule])
     )
   },
   $dirty() {
@@ -108,7 +148,11 @@ const validationGetters = {
     return this.nestedKeys.some((key) => this.refProxy(key).$anyDirty)
   },
   $error() {
-    return this.$dirty && !this.$pending && this.$invalid
+    // external results are reported regardless of the dirty state
+    return (
+      (this.$dirty && !this.$pending && this.$invalid && this.triggered) ||
+      this.$externalResults.length > 0
+    )
   },
   $anyError() {
     if (this.$error) return true
@@ -121,6 +165,35 @@ const validationGetters = {
       this.nestedKeys.some((key) => this.refProxy(key).$pending)
     )
   },
+  $timedOut() {
+    return (
+      this.ruleKeys.some((key) => !!this.getRef(key).$timedOut) ||
+      this.nestedKeys.some((key) => this.refProxy(key).$timedOut)
+    )
+  },
+  $asyncError() {
+    return (
+      this.ruleKeys.some((key) => !!this.getRef(key).$asyncError) ||
+      this.nestedKeys.some((key) => this.refProxy(key).$asyncError)
+    )
+  },
+  $asyncErrors() {
+    const proxy = this.proxy
+    let errors = []
+    this.nestedKeys.forEach((key) => {
+      const childErrors = proxy[key].$asyncErrors
+      for (let j = 0; j < childErrors.length; j++) {
+        errors.push({ ...childErrors[j], path: [key, ...childErrors[j].path] })
+      }
+    })
+    this.ruleKeys.forEach((key) => {
+      const error = this.getRef(key).$asyncError
+      if (error) {
+        errors.push({ path: [], name: key, error })
+      }
+    })
+    return errors
+  },
   $params() {
     const vals = this.validations
     return {
@@ -130,6 +203,36 @@ const validationGetters = {
       ),
       ...buildFromKeys(this.ruleKeys, (key) => this.getRef(key).$params)
     }
+  },
+  $errors() {
+    const errors = collectEntries(
+      this.nestedKeys,
+      (key) => this.refProxy(key).$errors,
+      this.errorKeys,
+      this.getRef
+    )
+    this.$externalResults.forEach((message) => {
+      errors.push({ path: [], name: '$external', params: null, message })
+    })
+    return errors
+  },
+  $warnings() {
+    return collectEntries(
+      this.nestedKeys,
+      (key) => this.refProxy(key).$warnings,
+      this.warningKeys,
+      this.getRef
+    )
+  },
+  $anyWarning() {
+    return this.$warnings.length > 0
+  },
+  $externalResults() {
+    return this.path ? this.external.get(this.path) : []
+  },
+  $message() {
+    const errors = this.$errors
+    return errors.length > 0 ? errors[0].message : null
   }
 }
 
@@ -147,8 +250,53 @@ const validationMethods = {
     setDirtyRecursive.call(this, true)
   },
   $reset() {
+    this.blurred = false
+    this.submitted = false
     setDirtyRecursive.call(this, false)
   },
+  $blur() {
+    this.blurred = true
+    this.$touch()
+  },
+  $submit() {
+    this.submitted = true
+    return this.$validate()
+  },
+  $validate() {
+    this.$touch()
+    return new Promise((resolve) => {
+      if (!this.$pending) {
+        resolve(!this.$invalid)
+        return
+      }
+      const unwatch = this.$watch('$pending', (pending) => {
+        if (!pending) {
+          unwatch()
+          resolve(!this.$invalid)
+        }
+      })
+    })
+  },
+  $setExternalResults(results) {
+    if (this.path) {
+      this.external.set(this.path, results, (segments) =>
+        this.resolveExternalPath(segments)
+      )
+    }
+  },
+  $clearExternalResults() {
+    if (this.path) this.external.clear(this.path)
+  },
+  $retry() {
+    const proxy = this.proxy
+    this.nestedKeys.forEach((key) => {
+      proxy[key].$retry()
+    })
+    this.ruleKeys.forEach((key) => {
+      const ref = this.getRef(key)
+      if (ref.$asyncError || ref.$timedOut) ref.retry()
+    })
+  },
   $flattenParams() {
     const proxy = this.proxy
     let params = []
@@ -167,6 +315,14 @@ const validationMethods = {
   }
 }
 
+const validateOnEvents = ['input', 'blur', 'submit']
+
+function checkValidateOn(validateOn) {
+  if (validateOnEvents.indexOf(validateOn) === -1) {
+    throw new Error(`$validateOn must be one of: ${validateOnEvents}`)
+  }
+}
+
 const getterNames = Object.keys(validationGetters)
 const methodNames = Object.keys(validationMethods)
 
@@ -175,6 +331,7 @@ const getComponent = (Vue) => {
   if (_cachedComponent) {
     return _cachedComponent
   }
+  bindMessages(Vue)
 
   const VBase = Vue.extend({
     computed: {
@@ -185,6 +342,9 @@ const getComponent = (Vue) => {
         patchChildren(oldVval, this._vval)
         const refs = {}
         this._vval.forEach((c) => {
+          // Watchers created in lifecycle hooks break dependency tracking
+          // in Vue < 2.5.17, so children set them up here instead.
+          c.vm.setupWatchers()
           refs[c.key] = c.vm
         })
         return refs
@@ -211,7 +371,8 @@ const getComponent = (Vue) => {
       },
       hasIter() {
         return false
-      }
+      },
+      setupWatchers() {}
     }
   })
 
@@ -222,7 +383,11 @@ const getComponent = (Vue) => {
         lazyModel: null,
         model: null,
         lazyParentModel: null,
-        rootModel: null
+        rootModel: null,
+        deferred: null,
+        skipped: null,
+        name: null,
+        attempt: 0
       }
     },
     methods: {
@@ -230,25 +395,63 @@ const getComponent = (Vue) => {
         // Avoid using this.lazyParentModel to not get dependent on it.
         // Passed as an argument for workaround
         const model = this.getModel()
+        // make the run depend on retries
+        this.attempt
+        this.abortRun()
+        const controller = createAbortController()
+        this._abortController = controller
         pushParams()
-        const rawOutput = this.rule.call(this.rootModel, model, parent)
+        const rawOutput = this.rule.call(
+          this.rootModel,
+          model,
+          parent,
+          controller.signal
+        )
         const output = isPromise(rawOutput)
-          ? makePendingAsyncVm(Vue, rawOutput)
+          ? makePendingAsyncVm(Vue, rawOutput, controller, this.getTimeout())
           : rawOutput
 
-        const rawParams = popParams()
-        const params =
-          rawParams && rawParams.$sub
-            ? rawParams.$sub.length > 1
-              ? rawParams
-              : rawParams.$sub[0]
-            : null
+        const params = unwrapParams(popParams())
 
         return { output, params }
+      },
+      getTimeout() {
+        const timeout = this.rule.$timeout || {}
+        return {
+          ms: timeout.ms !== undefined ? timeout.ms : config.asyncTimeout,
+          outcome: timeout.outcome || config.asyncTimeoutOutcome
+        }
+      },
+      retry() {
+        this.attempt++
+      },
+      setupWatchers() {
+        if (this._modelWatched) return
+        this._modelWatched = true
+        // abort as soon as the model changes, also when nothing reads the
+        // result of the new run
+        this.$watch(() => this.getModel(), () => this.abortRun(), {
+          sync: true
+        })
+      },
+      abortRun() {
+        if (this._abortController) {
+          this._abortController.abort()
+          this._abortController = null
+        }
       }
     },
     computed: {
       run() {
+        if (this.deferred && this.deferred()) {
+          // rules of lazy models are not evaluated and count as valid
+          this.abortRun()
+          return { output: true, params: null }
+        }
+        if (this.skipped && this.skipped(this.name)) {
+          this.abortRun()
+          return { output: false, params: null, skipped: true }
+        }
         const parent = this.lazyParentModel()
         const isArrayDependant = Array.isArray(parent) && parent.__ob__
 
@@ -292,12 +495,18 @@ const getComponent = (Vue) => {
       $params() {
         return this.run.params
       },
+      $message() {
+        return renderMessage(this.rule, this.$params, this.getModel())
+      },
       proxy() {
         const output = this.run.output
-        if (output[__isVuelidateAsyncVm]) {
-          return !!output.v
-        }
-        return !!output
+        return ruleResult(
+          this.$skipped,
+          output[__isVuelidateAsyncVm] ? output.v : output
+        )
+      },
+      $skipped() {
+        return !!this.run.skipped
       },
       $pending() {
         const output = this.run.output
@@ -305,9 +514,24 @@ const getComponent = (Vue) => {
           return output.p
         }
         return false
+      },
+      $asyncError() {
+        const output = this.run.output
+        if (output[__isVuelidateAsyncVm]) {
+          return output.e
+        }
+        return null
+      },
+      $timedOut() {
+        const output = this.run.output
+        if (output[__isVuelidateAsyncVm]) {
+          return output.t
+        }
+        return false
       }
     },
     destroyed() {
+      this.abortRun()
       if (this._indirectWatcher) {
         this._indirectWatcher.teardown()
         this._indirectWatcher = null
@@ -324,11 +548,50 @@ const getComponent = (Vue) => {
         model: null,
         prop: null,
         lazyParentModel: null,
-        rootModel: null
+        rootModel: null,
+        path: null,
+        external: null,
+        parentAutoDirty: null,
+        parentLazy: false,
+        parentStopOnFirstFailure: null,
+        parentValidateOn: null,
+        parentBlurred: null,
+        parentSubmitted: null,
+        blurred: false,
+        submitted: false
       }
     },
     methods: {
       ...validationMethods,
+      setupWatchers() {
+        if (this._autoDirtyWatched) return
+        this._autoDirtyWatched = true
+        // sync, so the model is dirty right after the change like with $model
+        let unwatch = null
+        this.$watch(
+          'autoDirty',
+          (autoDirty) => {
+            if (unwatch) unwatch()
+            unwatch = autoDirty
+              ? this.$watch(
+                  () => this.getModel(),
+                  () => {
+                    this.dirty = true
+                  },
+                  { sync: true }
+                )
+              : null
+          },
+          { immediate: true, sync: true }
+        )
+        // children watching their models are built right away, so writes
+        // before anything reads `$v` are not lost
+        this.$watch(
+          () => (this.autoDirty || hasAutoDirty(this.validations)) && this.refs,
+          NIL,
+          { sync: true }
+        )
+      },
       refProxy(key) {
         return this.getRef(key).proxy
       },
@@ -337,6 +600,46 @@ const getComponent = (Vue) => {
       },
       isNested(key) {
         return typeof this.validations[key] !== 'function'
+      },
+      isDeferred() {
+        return this.lazy && !this.dirty
+      },
+      // rules following a pending one or one which stops evaluation
+      isSkipped(key) {
+        if (!this.stopOnFirstFailure) return false
+        const keys = this.ruleKeys
+        const index = keys.indexOf(key)
+        return keys
+          .slice(0, index === -1 ? 0 : index)
+          .some((k) =>
+            stopsEvaluation(this.validations[k], this.getRef(k).proxy)
+          )
+      },
+      // blur and submit of a model apply to all its children
+      wasBlurred() {
+        return this.blurred || (!!this.parentBlurred && this.parentBlurred())
+      },
+      wasSubmitted() {
+        return (
+          this.submitted || (!!this.parentSubmitted && this.parentSubmitted())
+        )
+      },
+      // maps a relative path, which may go through `$each`, to the model path
+      resolveExternalPath(segments) {
+        if (segments.length === 0) return segments
+        const [key, ...rest] = segments
+        const vals = this.validations
+        if (key === '$each' || (!(key in vals) && '$each' in vals)) {
+          const each = this.refs.$each
+          const path = key === '$each' ? rest : segments
+          return each ? each.resolveExternalPath(path) : path
+        }
+        const def = vals[key]
+        const child =
+          typeof def === 'object' && def !== null && !Array.isArray(def)
+            ? this.refs[key]
+            : null
+        return [key, ...(child ? child.resolveExternalPath(rest) : rest)]
       }
     },
     computed: {
@@ -347,8 +650,50 @@ const getComponent = (Vue) => {
       ruleKeys() {
         return this.keys.filter((k) => !this.isNested(k))
       },
+      errorKeys() {
+        return errorKeys(this.ruleKeys, (key) => this.validations[key])
+      },
+      warningKeys() {
+        return warningKeys(this.ruleKeys, (key) => this.validations[key])
+      },
+      lazy() {
+        const own = this.validations.$lazy
+        return own !== undefined ? !!own : this.parentLazy
+      },
+      validateOn() {
+        const own = this.validations.$validateOn
+        const validateOn = own !== undefined ? own : this.parentValidateOn
+        if (validateOn === null) return 'input'
+        checkValidateOn(validateOn)
+        return validateOn
+      },
+      // whether the event showing errors of this model has happened
+      triggered() {
+        switch (this.validateOn) {
+          case 'blur':
+            return this.wasBlurred() || this.wasSubmitted()
+          case 'submit':
+            return this.wasSubmitted()
+          default:
+            return true
+        }
+      },
+      stopOnFirstFailure() {
+        const own = this.validations.$stopOnFirstFailure
+        if (own !== undefined) return !!own
+        return this.parentStopOnFirstFailure !== null
+          ? this.parentStopOnFirstFailure
+          : config.stopOnFirstFailure
+      },
+      autoDirty() {
+        const own = this.validations.$autoDirty
+        if (own !== undefined) return !!own
+        return this.parentAutoDirty !== null
+          ? this.parentAutoDirty
+          : config.autoDirty
+      },
       keys() {
-        return Object.keys(this.validations).filter((k) => k !== '$params')
+        return getValidationKeys(this.validations)
       },
       proxy() {
         const keyDefs = buildFromKeys(this.keys, (key) => ({
@@ -421,6 +766,17 @@ const getComponent = (Vue) => {
   })
 
   const GroupValidation = Validation.extend({
+    computed: {
+      autoDirty() {
+        return false
+      },
+      lazy() {
+        return false
+      },
+      stopOnFirstFailure() {
+        return false
+      }
+    },
     methods: {
       isNested(key) {
         return typeof this.validations[key]() !== 'undefined'
@@ -431,6 +787,9 @@ const getComponent = (Vue) => {
           get proxy() {
             // default to invalid
             return vm.validations[key]() || false
+          },
+          get $message() {
+            return renderMessage(null, null)
           }
         }
       }
@@ -439,6 +798,10 @@ const getComponent = (Vue) => {
 
   const EachValidation = Validation.extend({
     computed: {
+      // results at this path belong to the parent node
+      $externalResults() {
+        return []
+      },
       keys() {
         var model = this.getModel()
         if (isObject(model)) {
@@ -478,7 +841,15 @@ const getComponent = (Vue) => {
               prop: key,
               lazyParentModel: this.getModelLazy,
               model: model[key],
-              rootModel: this.rootModel
+              rootModel: this.rootModel,
+              path: [...this.path, key],
+              external: this.external,
+              parentAutoDirty: this.autoDirty,
+              parentLazy: this.lazy,
+              parentStopOnFirstFailure: this.stopOnFirstFailure,
+              parentValidateOn: this.validateOn,
+              parentBlurred: this.wasBlurred,
+              parentSubmitted: this.wasSubmitted
             })
           })
           .filter(Boolean)
@@ -491,6 +862,19 @@ const getComponent = (Vue) => {
       getRef(key) {
         return this.refs[this.tracker(key)]
       },
+      // items are addressed by their key or by their `$trackBy` value
+      resolveExternalPath(segments) {
+        if (segments.length === 0) return segments
+        const [id, ...rest] = segments
+        const model = this.getModel()
+        const key =
+          isObject(model) && model.hasOwnProperty(id)
+            ? id
+            : this.keys.filter((k) => this.tracker(k) === id)[0]
+        if (key === undefined) return segments
+        const ref = this.getRef(key)
+        return [key, ...(ref ? ref.resolveExternalPath(rest) : rest)]
+      },
       hasIter() {
         return true
       }
@@ -504,7 +888,15 @@ const getComponent = (Vue) => {
         lazyParentModel: vm.lazyParentModel,
         prop: key,
         lazyModel: vm.getModel,
-        rootModel: vm.rootModel
+        rootModel: vm.rootModel,
+        path: vm.path,
+        external: vm.external,
+        parentAutoDirty: vm.autoDirty,
+        parentLazy: vm.lazy,
+        parentStopOnFirstFailure: vm.stopOnFirstFailure,
+        parentValidateOn: vm.validateOn,
+        parentBlurred: vm.wasBlurred,
+        parentSubmitted: vm.wasSubmitted
       })
     }
     const validations = vm.validations[key]
@@ -516,14 +908,15 @@ const getComponent = (Vue) => {
           function() {
             return getPath(root, root.$v, path)
           },
-        (v) => (Array.isArray(v) ? v.join('.') : v)
+        groupKey
       )
       return h(GroupValidation, key, {
         validations: refVals,
         lazyParentModel: NIL,
         prop: key,
         lazyModel: NIL,
-        rootModel: root
+        rootModel: root,
+        external: vm.external
       })
     }
     return h(Validation, key, {
@@ -531,7 +924,15 @@ const getComponent = (Vue) => {
       lazyParentModel: vm.getModel,
       prop: key,
       lazyModel: vm.getModelKey,
-      rootModel: vm.rootModel
+      rootModel: vm.rootModel,
+      path: [...vm.path, key],
+      external: vm.external,
+      parentAutoDirty: vm.autoDirty,
+      parentLazy: vm.lazy,
+      parentStopOnFirstFailure: vm.stopOnFirstFailure,
+      parentValidateOn: vm.validateOn,
+      parentBlurred: vm.wasBlurred,
+      parentSubmitted: vm.wasSubmitted
     })
   }
 
@@ -540,7 +941,10 @@ const getComponent = (Vue) => {
       rule: vm.validations[key],
       lazyParentModel: vm.lazyParentModel,
       lazyModel: vm.getModel,
-      rootModel: vm.rootModel
+      rootModel: vm.rootModel,
+      deferred: vm.isDeferred,
+      skipped: vm.isSkipped,
+      name: key
     })
   }
 
@@ -558,10 +962,13 @@ function getVue(rootVm) {
   return Vue
 }
 
-const validateModel = (model, validations) => {
-  const Vue = getVue(model)
+const validateModel = (model, validations, Vue = getVue(model)) => {
   const { Validation, VBase } = getComponent(Vue)
+  const external = createExternalStore(Vue, () => model)
   const root = new VBase({
+    beforeDestroy() {
+      external.$destroy()
+    },
     computed: {
       children() {
         const vals =
@@ -575,7 +982,9 @@ const validateModel = (model, validations) => {
             lazyParentModel: NIL,
             prop: '$v',
             model,
-            rootModel: model
+            rootModel: model,
+            path: [],
+            external
           })
         ]
       }
@@ -584,6 +993,91 @@ const validateModel = (model, validations) => {
   return root
 }
 
+// Builds the tree eagerly, so that `$autoDirty` watchers exist before
+// anything reads `$v`
+const buildTree = (root) => {
+  root.$watch(() => root.refs, NIL, { sync: true })
+}
+
+const isRef = (val) => isObject(val) && val.__v_isRef === true
+const unref = (val) => (isRef(val) ? val.value : val)
+
+// Exposes state fields, which may be refs, as plain model properties
+function createStateModel(state, getV) {
+  const source = unref(state)
+  const model = Object.defineProperty({}, '$v', { get: getV })
+  Object.keys(source).forEach((key) => {
+    Object.defineProperty(model, key, {
+      enumerable: true,
+      get: () => unref(unref(state)[key]),
+      set: (value) => {
+        const target = unref(state)
+        if (isRef(target[key])) {
+          target[key].value = value
+        } else {
+          target[key] = value
+        }
+      }
+    })
+  })
+  return model
+}
+
+function useVuelidate(validations, state, options = {}) {
+  const { vm } = options
+  const Vue = options.Vue || (vm ? getVue(vm) : _cachedVue)
+  if (!Vue) {
+    throw new Error(
+      'useVuelidate requires the plugin to be installed or a Vue constructor'
+    )
+  }
+
+  const source = unref(state)
+  if (!isRef(state) && isObject(source) && !source.__ob__) {
+    // make plain state reactive in place
+    new Vue({ data: { source } })
+  }
+
+  let root = null
+  const getV = () => root.refs.$v.proxy
+  const model = createStateModel(state, getV)
+  root = validateModel(model, validations, Vue)
+  buildTree(root)
+
+  // The proxy is rebuilt when validation keys change, so return a stable
+  // object reading through the current one. New keys appear on next tick.
+  const $v = {}
+  const mirror = (proxy) => {
+    Object.getOwnPropertyNames($v).forEach((key) => {
+      if (key !== '$destroy' && !proxy.hasOwnProperty(key)) delete $v[key]
+    })
+    Object.getOwnPropertyNames(proxy).forEach((key) => {
+      const desc = Object.getOwnPropertyDescriptor(proxy, key)
+      Object.defineProperty($v, key, {
+        enumerable: desc.enumerable,
+        configurable: true,
+        get: () => getV()[key],
+        set: desc.set
+          ? (value) => {
+              getV()[key] = value
+            }
+          : undefined
+      })
+    })
+  }
+  mirror(getV())
+  root.$watch(getV, mirror)
+
+  // releases the watchers of the tree, for validations without a vm
+  Object.defineProperty($v, '$destroy', {
+    value: () => root.$destroy()
+  })
+  if (vm) {
+    vm.$once('hook:beforeDestroy', $v.$destroy)
+  }
+  return $v
+}
+
 const vuelidateChildren = {
   $each: {
     valid: (value) => !value.$v.$invalid
@@ -606,6 +1100,10 @@ const validationMixin = {
       vuelidateChildren: {}
     }
   },
+  created() {
+    // the model is not set up yet when validations are created in `data`
+    if (this._vuelidate) buildTree(this._vuelidate)
+  },
   beforeCreate() {
     const options = this.$options
     const vals = options.validations
@@ -665,9 +1163,47 @@ const validationMixin = {
   }
 }
 
-function Vuelidate(Vue) {
+function Vuelidate(Vue, options) {
+  _cachedVue = _cachedVue || Vue
+  configure(options)
+  configureMessages(options)
   Vue.mixin(validationMixin)
 }
 
-export { Vuelidate, validationMixin, withParams, vuelidateChildren }
+Vuelidate.registerRule = registerRule
+
+export {
+  Vuelidate,
+  validationMixin,
+  useVuelidate,
+  validate,
+  validateAsync,
+  fromProblemDetails,
+  fromJsonApi,
+  fromLaravel,
+  fromConstraints,
+  toJsonSchema,
+  fromJsonSchema,
+  registerRule,
+  parseRules,
+  vBlur,
+  vSubmit,
+  vTouch,
+  ValidationField,
+  ValidationForm,
+  ValidationAnnouncer,
+  vAria,
+  vValidity,
+  vFocusTarget,
+  findFirstError,
+  focusFirstError,
+  withParams,
+  withMessage,
+  withTimeout,
+  withSeverity,
+  addMessages,
+  setLocale,
+  getLocale,
+  vuelidateChildren
+}
 export default Vuelidate
@@ -0,0 +1,226 @@
+// Conversion of validations to and from JSON Schema, based on the
+// `$params` that builtin validators expose.
+import { isObject, getValidationKeys } from './utils'
+import { isWarning } from './severity'
+import {
+  required,
+  minLength,
+  maxLength,
+  minValue,
+  maxValue,
+  email,
+  url,
+  ipAddress,
+  helpers
+} from './validators'
+
+const draft = 'http://json-schema.org/draft-07/schema#'
+
+// patterns of builtin regex validators
+const patterns = {
+  alpha: '^[a-zA-Z]*$',
+  alphaNum: '^[a-zA-Z0-9]*$',
+  numeric: '^[0-9]*$',
+  integer: '(^[0-9]*$)|(^-[0-9]+$)',
+  decimal: '^[-]?\\d*(\\.\\d+)?$'
+}
+
+const formats = {
+  email: 'email',
+  url: 'uri',
+  ipAddress: 'ipv4'
+}
+
+const isNumber = (value) => typeof value === 'number' && !isNaN(value)
+
+// Adds keywords for a rule to `schema`. Returns false when the rule
+// cannot be expressed.
+function applyRule(schema, params, isArray) {
+  const type = params && params.type
+  switch (type) {
+    case 'minLength':
+      if (!isNumber(params.min)) return false
+      schema[isArray ? 'minItems' : 'minLength'] = params.min
+      return true
+    case 'maxLength':
+      if (!isNumber(params.max)) return false
+      schema[isArray ? 'maxItems' : 'maxLength'] = params.max
+      return true
+    case 'minValue':
+      if (!isNumber(params.min)) return false
+      schema.minimum = params.min
+      return true
+    case 'maxValue':
+      if (!isNumber(params.max)) return false
+      schema.maximum = params.max
+      return true
+    case 'between':
+      if (!isNumber(params.min) || !isNumber(params.max)) return false
+      schema.minimum = params.min
+      schema.maximum = params.max
+      return true
+    case 'pattern':
+      if (typeof params.pattern !== 'string') return false
+      // patterns match whole values, unless imported from JSON Schema
+      schema.pattern = params.partial
+        ? params.pattern
+        : `^(?:${params.pattern})$`
+      return true
+    default:
+      if (patterns.hasOwnProperty(type)) {
+        schema.pattern = patterns[type]
+        return true
+      }
+      if (formats.hasOwnProperty(type)) {
+        schema.format = formats[type]
+        return true
+      }
+      return false
+  }
+}
+
+const isKey = (key) => key === '$each' || key.charAt(0) !== '$'
+
+function nodeSchema(validations, model, path, unsupported) {
+  const schema = {}
+  const isArray = Array.isArray(model) || validations.hasOwnProperty('$each')
+  if (isArray) {
+    schema.type = 'array'
+  } else if (isObject(model)) {
+    schema.type = 'object'
+  }
+
+  // required rules, which the parent lists in `required`
+  const requiredRules = []
+  const properties = {}
+  const required = []
+  getValidationKeys(validations)
+    .filter(isKey)
+    .forEach((key) => {
+      const def = validations[key]
+      const value = isObject(model) ? model[key] : undefined
+      if (key === '$each') {
+        const items = { ...def }
+        delete items.$trackBy
+        const itemKeys = isObject(model) ? Object.keys(model) : []
+        // all items share validations, so the first one describes them
+        const item = itemKeys.length > 0 ? model[itemKeys[0]] : undefined
+        const result = nodeSchema(items, item, [...path, key], unsupported)
+        schema.items = result.schema
+        // JSON Schema cannot require array items to be present
+        unsupported.push(...result.requiredRules)
+      } else if (typeof def === 'function') {
+        // rules are never run, as custom ones may have side effects
+        const params = def.$params || null
+        if (isWarning(def)) {
+          // warnings do not reject values, so they are no constraints
+          unsupported.push({ path, name: key, params })
+        } else if (params && params.type === 'required' && path.length > 0) {
+          requiredRules.push({ path, name: key, params })
+        } else if (!applyRule(schema, params, isArray)) {
+          unsupported.push({ path, name: key, params: params || null })
+        }
+      } else if (Array.isArray(def)) {
+        // groups refer to other models instead of describing this one
+        unsupported.push({ path: [...path, key], name: '$group', params: null })
+      } else if (isObject(def)) {
+        const result = nodeSchema(def, value, [...path, key], unsupported)
+        properties[key] = result.schema
+        if (result.requiredRules.length > 0) required.push(key)
+      }
+    })
+
+  if (Object.keys(properties).length > 0) {
+    schema.type = schema.type || 'object'
+    schema.properties = properties
+  }
+  if (required.length > 0) schema.required = required
+  return { schema, requiredRules }
+}
+
+// Converts validations to a JSON Schema document. The optional model is
+// passed to functions returning validations and tells arrays apart for
+// `minLength` and `maxLength`. Rules without static params are not run.
+// Rules without a JSON Schema equivalent, like `sameAs` or custom
+// validators, are listed in `unsupported` as `{ path, name, params }`, the
+// same way as in `$flattenParams`, along with warnings.
+export function toJsonSchema(validations, model) {
+  const vals =
+    typeof validations === 'function' ? validations.call(model) : validations
+  if (!isObject(vals)) {
+    throw new Error('toJsonSchema requires a validations object')
+  }
+  const unsupported = []
+  const { schema } = nodeSchema(vals, model, [], unsupported)
+  return {
+    schema: { $schema: draft, type: 'object', ...schema },
+    unsupported
+  }
+}
+
+// formats with their validator names
+const formatValidators = {
+  email: { email },
+  uri: { url },
+  ipv4: { ipAddress }
+}
+
+function toPattern(pattern) {
+  try {
+    // JSON Schema patterns are not anchored
+    return helpers.regex('pattern', new RegExp(pattern), {
+      pattern,
+      partial: true
+    })
+  } catch (e) {
+    return null
+  }
+}
+
+function ruleValidations(schema) {
+  const validations = {}
+  const isArray = schema.type === 'array'
+  const min = isArray ? schema.minItems : schema.minLength
+  const max = isArray ? schema.maxItems : schema.maxLength
+  if (isNumber(min)) validations.minLength = minLength(min)
+  if (isNumber(max)) validations.maxLength = maxLength(max)
+  if (isNumber(schema.minimum)) validations.minValue = minValue(schema.minimum)
+  if (isNumber(schema.maximum)) validations.maxValue = maxValue(schema.maximum)
+  if (typeof schema.pattern === 'string') {
+    const pattern = toPattern(schema.pattern)
+    if (pattern) validations.pattern = pattern
+  }
+  return formatValidators.hasOwnProperty(schema.format)
+    ? { ...validations, ...formatValidators[schema.format] }
+    : validations
+}
+
+function schemaValidations(schema) {
+  const validations = ruleValidations(schema)
+  if (isObject(schema.items)) {
+    validations.$each = schemaValidations(schema.items)
+  }
+  if (isObject(schema.properties)) {
+    const requiredKeys = Array.isArray(schema.required) ? schema.required : []
+    Object.keys(schema.properties).forEach((key) => {
+      const child = schema.properties[key]
+      validations[key] = {
+        ...(requiredKeys.indexOf(key) !== -1 ? { required } : {}),
+        ...(isObject(child) ? schemaValidations(child) : {})
+      }
+    })
+  }
+  return validations
+}
+
+// Builds a validations object out of a JSON Schema document. `properties`
+// become nested models, `items` becomes `$each` and the `required`,
+// `minLength`, `maxLength`, `minItems`, `maxItems`, `minimum`, `maximum`,
+// `pattern` and `format` (email, uri, ipv4) keywords map to the builtin
+// validators. Other keywords are ignored.
+export function fromJsonSchema(schema) {
+  if (!isObject(schema)) {
+    throw new Error('fromJsonSchema requires a schema object')
+  }
+  return schemaValidations(schema)
+}
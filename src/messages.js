@@ -0,0 +1,194 @@
+import { withMeta } from './meta'
+
+// Default messages of builtin validators, keyed by the `type` param
+// they declare through `withParams`. Placeholders like `{min}`
+// are replaced with the corresponding `$params` values, and `|`
+// separates plural forms chosen by the first numeric placeholder.
+export const defaultMessages = {
+  $default: 'Value is invalid',
+  required: 'Value is required',
+  requiredIf: 'Value is required',
+  requiredUnless: 'Value is required',
+  minLength:
+    'Must be at least {min} character long | Must be at least {min} characters long',
+  maxLength:
+    'Must be at most {max} character long | Must be at most {max} characters long',
+  minValue: 'Must be at least {min}',
+  maxValue: 'Must be at most {max}',
+  between: 'Must be between {min} and {max}',
+  alpha: 'Must contain only letters',
+  alphaNum: 'Must contain only letters and numbers',
+  numeric: 'Must be numeric',
+  integer: 'Must be an integer',
+  decimal: 'Must be a decimal number',
+  email: 'Must be a valid email address',
+  ipAddress: 'Must be a valid IPv4 address',
+  macAddress: 'Must be a valid MAC address',
+  url: 'Must be a valid URL',
+  sameAs: 'Must be identical to {eq}',
+  or: 'None of the conditions are met',
+  and: 'Not all of the conditions are met',
+  not: 'Value does not match the condition'
+}
+
+export const fallbackMessage = defaultMessages.$default
+
+// Catalogs are replaced instead of mutated, so the state only needs
+// to be observed shallowly to react on locale and catalog changes.
+const state = {
+  locale: 'en',
+  fallbackLocale: 'en',
+  catalogs: { en: Object.freeze({ ...defaultMessages }) }
+}
+
+let _boundVue = null
+export function bindMessages(Vue) {
+  if (_boundVue) return
+  _boundVue = new Vue({ data: state })
+}
+
+export function getLocale() {
+  return state.locale
+}
+
+export function setLocale(locale) {
+  if (typeof locale !== 'string') {
+    throw new Error('locale must be a string')
+  }
+  state.locale = locale
+}
+
+export function setFallbackLocale(locale) {
+  if (typeof locale !== 'string') {
+    throw new Error('locale must be a string')
+  }
+  state.fallbackLocale = locale
+}
+
+export function addMessages(locale, catalog) {
+  if (typeof catalog !== 'object' || catalog === null) {
+    throw new Error('catalog must be an object')
+  }
+  state.catalogs = {
+    ...state.catalogs,
+    [locale]: Object.freeze({ ...state.catalogs[locale], ...catalog })
+  }
+}
+
+export function configureMessages(options) {
+  const { messages, locale, fallbackLocale } = options || {}
+  if (messages) {
+    Object.keys(messages).forEach((key) => addMessages(key, messages[key]))
+  }
+  if (fallbackLocale) setFallbackLocale(fallbackLocale)
+  if (locale) setLocale(locale)
+}
+
+const placeholder = /\{\s*([\w$]+)\s*\}/g
+
+// Params like the functions of `sameAs` or `requiredIf` have no readable
+// form, so only primitive values are interpolated
+const isPrimitive = (value) =>
+  typeof value !== 'object' && typeof value !== 'function'
+
+const hasOpaqueParams = (template, params) =>
+  !!params &&
+  (template.match(placeholder) || []).some((match) => {
+    const value = params[match.replace(placeholder, '$1')]
+    return value !== null && !isPrimitive(value)
+  })
+
+export function interpolate(template, params) {
+  return template.replace(placeholder, (match, key) => {
+    const value = params ? params[key] : undefined
+    return value === undefined || value === null || !isPrimitive(value)
+      ? match
+      : String(value)
+  })
+}
+
+const defaultPlural = (count) => (count === 1 ? 0 : 1)
+
+function getCount(template, params) {
+  if (!params) return null
+  placeholder.lastIndex = 0
+  let match
+  while ((match = placeholder.exec(template)) !== null) {
+    const value = params[match[1]]
+    if (
+      typeof value === 'number' ||
+      (typeof value === 'string' && value.trim() !== '' && !isNaN(+value))
+    ) {
+      placeholder.lastIndex = 0
+      return +value
+    }
+  }
+  return null
+}
+
+export function pluralize(template, params, plural = defaultPlural) {
+  const forms = template.split('|').map((form) => form.trim())
+  if (forms.length === 1) return forms[0]
+  const count = getCount(forms[0], params)
+  const index = count === null ? forms.length - 1 : plural(count, forms.length)
+  return forms[Math.max(0, Math.min(index, forms.length - 1))]
+}
+
+function getCatalogs() {
+  const { catalogs, locale, fallbackLocale } = state
+  return [catalogs[locale], catalogs[fallbackLocale]].filter(Boolean)
+}
+
+function lookup(key) {
+  const catalogs = getCatalogs()
+  for (let i = 0; i < catalogs.length; i++) {
+    if (catalogs[i][key]) {
+      return { message: catalogs[i][key], catalog: catalogs[i] }
+    }
+  }
+  return null
+}
+
+function fromLocales(messages) {
+  const { locale, fallbackLocale } = state
+  return messages[locale] || messages[fallbackLocale] || null
+}
+
+// Attaches a custom message to a validator without altering its output.
+// The message may be a template string, a function of ($params, model)
+// or an object of those keyed by locale.
+export function withMessage(message, validator) {
+  if (
+    typeof message !== 'string' &&
+    typeof message !== 'function' &&
+    (typeof message !== 'object' || message === null)
+  ) {
+    throw new Error('message must be a string, a function or an object')
+  }
+  return withMeta({ $message: message }, validator)
+}
+
+export function renderMessage(rule, params, model) {
+  let message = rule && rule.$message
+  let catalog = state.catalogs[state.locale] || {}
+  if (message && typeof message === 'object') {
+    message = fromLocales(message)
+  }
+  if (!message) {
+    const type = params && params.type
+    const found = (type && lookup(type)) || lookup('$default')
+    if (found) {
+      message = found.message
+      catalog = found.catalog
+    } else {
+      message = fallbackMessage
+    }
+  }
+  if (typeof message === 'function') return message(params, model)
+  const template = pluralize(message, params, catalog.$plural)
+  if (hasOpaqueParams(template, params)) {
+    const found = lookup('$default')
+    return found ? found.message : fallbackMessage
+  }
+  return interpolate(template, params)
+}
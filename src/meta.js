@@ -0,0 +1,20 @@
+// Validators carry vuelidate specific metadata as `$` prefixed properties.
+// Wrapping keeps the metadata of the wrapped validator, so modifiers
+// like `withMessage` can be freely combined.
+export function withMeta(meta, validator) {
+  if (typeof validator !== 'function') {
+    throw new Error('validator must be a function')
+  }
+  const rule = function(...args) {
+    return validator.apply(this, args)
+  }
+  return Object.assign(rule, getMeta(validator), meta)
+}
+
+export function getMeta(validator) {
+  const meta = {}
+  Object.keys(validator).forEach((key) => {
+    if (key.charAt(0) === '$') meta[key] = validator[key]
+  })
+  return meta
+}
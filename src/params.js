@@ -25,6 +25,15 @@ export function popParams() {
   return lastTarget
 }
 
+// params collected for a single rule run, without the wrapping frame
+export function unwrapParams(rawParams) {
+  return rawParams && rawParams.$sub
+    ? rawParams.$sub.length > 1
+      ? rawParams
+      : rawParams.$sub[0]
+    : null
+}
+
 function addParams(params) {
   if (typeof params === 'object' && !Array.isArray(params)) {
     target = { ...target, ...params }
@@ -34,12 +43,15 @@ function addParams(params) {
 }
 
 function withParamsDirect(params, validator) {
-  return withParamsClosure((add) => {
+  const rule = withParamsClosure((add) => {
     return function(...args) {
       add(params)
       return validator.apply(this, args)
     }
   })
+  // static params, for wrappers which call the validator outside of a run
+  rule.$params = params
+  return rule
 }
 
 function withParamsClosure(closure) {
@@ -0,0 +1,46 @@
+// Results of validation nodes, shared by the plugin and the headless
+// engine. Both describe a rule by its state, in the shape of the plugin's
+// rule component: `proxy` is its result, with `$pending`, `$asyncError`,
+// `$skipped`, `$params` and `$message` next to it.
+import { isWarning } from './severity'
+
+// not evaluated rules are null, to tell them apart from passing ones
+export const ruleResult = (skipped, valid) => (skipped ? null : !!valid)
+
+// With stop on first failure, a rule which does not pass stops the ones
+// after it, unless it is a warning
+export const stopsEvaluation = (rule, passed) => !passed && !isWarning(rule)
+
+// rules of `keys` which count towards `$invalid` and `$errors`
+export const errorKeys = (keys, getRule) =>
+  keys.filter((key) => !isWarning(getRule(key)))
+
+// rules of `keys` which are reported in `$warnings` only
+export const warningKeys = (keys, getRule) =>
+  keys.filter((key) => isWarning(getRule(key)))
+
+const isFailing = (state) =>
+  !state.proxy && !state.$pending && !state.$asyncError && !state.$skipped
+
+// Entries in the shape of `$errors`: the ones of nested models, prefixed
+// by their key, followed by the settled rules of `ruleKeys` which fail
+export function collectEntries(nestedKeys, getEntries, ruleKeys, getState) {
+  const entries = []
+  nestedKeys.forEach((key) => {
+    getEntries(key).forEach((entry) => {
+      entries.push({ ...entry, path: [key, ...entry.path] })
+    })
+  })
+  ruleKeys.forEach((key) => {
+    const state = getState(key)
+    if (isFailing(state)) {
+      entries.push({
+        path: [],
+        name: key,
+        params: state.$params || null,
+        message: state.$message
+      })
+    }
+  })
+  return entries
+}
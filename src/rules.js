@@ -0,0 +1,144 @@
+// Registry of named rule factories, which lets validations be stored as
+// data, e.g. `{ name: 'required|minLength:3', age: 'between:1,10' }`.
+import {
+  alpha,
+  alphaNum,
+  numeric,
+  between,
+  email,
+  ipAddress,
+  macAddress,
+  maxLength,
+  minLength,
+  required,
+  requiredIf,
+  requiredUnless,
+  sameAs,
+  url,
+  minValue,
+  maxValue,
+  integer,
+  decimal
+} from './validators'
+import { isObject } from './utils'
+
+const constant = (validator) => () => validator
+
+const registry = {
+  alpha: constant(alpha),
+  alphaNum: constant(alphaNum),
+  numeric: constant(numeric),
+  email: constant(email),
+  ipAddress: constant(ipAddress),
+  required: constant(required),
+  url: constant(url),
+  integer: constant(integer),
+  decimal: constant(decimal),
+  between,
+  macAddress,
+  maxLength,
+  minLength,
+  requiredIf,
+  requiredUnless,
+  sameAs,
+  minValue,
+  maxValue
+}
+
+// `factory` is called with the arguments of the spec, e.g.
+// `registerRule('slug', (max) => ...)` for `'slug:20'`
+export function registerRule(name, factory) {
+  if (typeof name !== 'string' || !/^[A-Za-z_$][\w$]*$/.test(name)) {
+    throw new Error('rule name must be an identifier')
+  }
+  if (typeof factory !== 'function') {
+    throw new Error(`factory of rule ${name} must be a function`)
+  }
+  registry[name] = factory
+}
+
+const numberPattern = /^-?\d+(\.\d+)?$/
+const parseArg = (arg) => {
+  const value = arg.trim()
+  return numberPattern.test(value) ? Number(value) : value
+}
+
+function createRule(name, args) {
+  if (!registry.hasOwnProperty(name)) {
+    throw new Error(`unknown rule: ${name}`)
+  }
+  return registry[name](...args)
+}
+
+// `'between:1,10'` to `['between', 1, 10]`
+function parseRule(spec) {
+  const index = spec.indexOf(':')
+  if (index === -1) return [spec.trim()]
+  const args = spec.slice(index + 1).split(',')
+  return [spec.slice(0, index).trim(), ...args.map(parseArg)]
+}
+
+// Entries of an array spec are rule strings or `[name, ...args]` arrays
+function toRuleList(spec) {
+  if (typeof spec === 'string') {
+    return spec
+      .split('|')
+      .filter((part) => part.trim() !== '')
+      .map(parseRule)
+  }
+  return spec.map((entry) => {
+    if (typeof entry === 'string') return parseRule(entry)
+    if (Array.isArray(entry) && typeof entry[0] === 'string') return entry
+    throw new Error(`invalid rule spec: ${JSON.stringify(entry)}`)
+  })
+}
+
+const isOptionKey = (key) => key.charAt(0) === '$' && key !== '$each'
+
+function parseSpec(spec) {
+  return toRuleList(spec).reduce((rules, [name, ...args]) => {
+    rules[name] = createRule(name, args)
+    return rules
+  }, {})
+}
+
+// Groups are arrays of paths to models of the root, like
+// `['name', 'address.city']`, instead of rule names
+const isGroup = (spec, rootKeys) =>
+  Array.isArray(spec) &&
+  spec.length > 0 &&
+  spec.every(
+    (entry) =>
+      typeof entry === 'string' &&
+      entry.indexOf(':') === -1 &&
+      rootKeys.indexOf(entry.split('.')[0]) !== -1
+  )
+
+function parseNode(spec, rootKeys) {
+  if (typeof spec === 'string' || Array.isArray(spec)) {
+    return parseSpec(spec)
+  }
+  if (!isObject(spec)) {
+    throw new Error('rule spec must be a string, an array or an object')
+  }
+  return Object.keys(spec).reduce((validations, key) => {
+    const value = spec[key]
+    validations[key] =
+      isOptionKey(key) ||
+      typeof value === 'function' ||
+      isGroup(value, rootKeys)
+        ? value
+        : parseNode(value, rootKeys)
+    return validations
+  }, {})
+}
+
+// Turns rule specs into validations. Specs are strings like
+// `'required|minLength:3'` or arrays like `['required', ['minLength', 3]]`.
+// Objects are parsed per key, so nested models and `$each` can be specs
+// too, while other `$` keys like `$lazy` or `$trackBy` are kept as they are.
+// Arrays of keys of the root object, or of paths starting with one, are
+// kept as validation groups.
+export function parseRules(spec) {
+  return parseNode(spec, isObject(spec) ? Object.keys(spec) : [])
+}
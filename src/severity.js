@@ -0,0 +1,15 @@
+import { withMeta } from './meta'
+
+export const severities = ['error', 'warning']
+
+// Failing warnings are reported in `$warnings` instead of `$errors` and
+// leave `$invalid` and `$error` untouched.
+export function withSeverity(severity, validator) {
+  if (severities.indexOf(severity) === -1) {
+    throw new Error(`severity must be one of: ${severities}`)
+  }
+  return withMeta({ $severity: severity }, validator)
+}
+
+export const isWarning = (rule) =>
+  typeof rule === 'function' && rule.$severity === 'warning'
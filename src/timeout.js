@@ -0,0 +1,18 @@
+import { withMeta } from './meta'
+import { checkTimeoutOutcome } from './config'
+
+export function createTimeoutError(ms) {
+  const error = new Error(`Async validator timed out after ${ms}ms`)
+  error.name = 'TimeoutError'
+  return error
+}
+
+// Limits how long an async validator may stay pending. The outcome
+// defaults to the global `asyncTimeoutOutcome` option.
+export function withTimeout(ms, validator, outcome) {
+  if (typeof ms !== 'number' || ms < 0) {
+    throw new Error('timeout must be a non-negative number')
+  }
+  if (outcome !== undefined) checkTimeoutOutcome(outcome)
+  return withMeta({ $timeout: { ms, outcome } }, validator)
+}
@@ -0,0 +1,49 @@
+export const buildFromKeys = (keys, fn, keyFn) =>
+  keys.reduce((build, key) => {
+    build[keyFn ? keyFn(key) : key] = fn(key)
+    return build
+  }, {})
+
+export function isFunction(val) {
+  return typeof val === 'function'
+}
+
+export function isObject(val) {
+  return val !== null && (typeof val === 'object' || isFunction(val))
+}
+
+export function isPromise(object) {
+  return isObject(object) && isFunction(object.then)
+}
+
+export const getPath = (ctx, obj, path, fallback) => {
+  if (typeof path === 'function') {
+    return path.call(ctx, obj, fallback)
+  }
+
+  path = Array.isArray(path) ? path : path.split('.')
+  for (let i = 0; i < path.length; i++) {
+    if (obj && typeof obj === 'object') {
+      obj = obj[path[i]]
+    } else {
+      return fallback
+    }
+  }
+
+  return typeof obj === 'undefined' ? fallback : obj
+}
+
+// keys of a validations object which configure the node instead of
+// defining rules or nested validations
+export const optionKeys = [
+  '$params',
+  '$autoDirty',
+  '$lazy',
+  '$validateOn',
+  '$stopOnFirstFailure'
+]
+
+export const getValidationKeys = (validations) =>
+  Object.keys(validations).filter((key) => optionKeys.indexOf(key) === -1)
+
+export const groupKey = (path) => (Array.isArray(path) ? path.join('.') : path)
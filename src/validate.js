@@ -0,0 +1,266 @@
+// Headless validation engine. Evaluates the same validations object shape
+// as the Vue plugin against plain data, without any reactivity, and
+// returns a serializable result tree.
+import { pushParams, popParams, unwrapParams } from './params'
+import { renderMessage } from './messages'
+import {
+  ruleResult,
+  stopsEvaluation,
+  errorKeys,
+  warningKeys,
+  collectEntries
+} from './results'
+import { config } from './config'
+import {
+  buildFromKeys,
+  isObject,
+  isPromise,
+  getPath,
+  groupKey,
+  getValidationKeys
+} from './utils'
+
+function runRule(rule, root, model, parent) {
+  pushParams()
+  const output = rule.call(root, model, parent)
+  const params = unwrapParams(popParams())
+  return { rule, output, params, model }
+}
+
+// Runs the rules of `keys` in order. With `stop`, the rules following a
+// failing or pending one are marked as skipped, and `resume` of a pending
+// rule runs them once it passes.
+function runRules(node, keys, model, parent, root, stop) {
+  for (let i = 0; i < keys.length; i++) {
+    const rule = node.validations[keys[i]]
+    const result = runRule(rule, root, model, parent)
+    node.rules[keys[i]] = result
+    const passed = !!result.output && !isPromise(result.output)
+    if (stop && stopsEvaluation(rule, passed)) {
+      const rest = keys.slice(i + 1)
+      rest.forEach((key) => {
+        node.rules[key] = { rule: node.validations[key], skipped: true }
+      })
+      if (isPromise(result.output)) {
+        result.resume = () => runRules(node, rest, model, parent, root, stop)
+      }
+      return
+    }
+  }
+}
+
+// First pass: run all rules, keeping their raw output
+function run(validations, model, parent, root, parentStop) {
+  const node = { validations, rules: {}, nested: {}, groups: {} }
+  const own = validations.$stopOnFirstFailure
+  const stop = own !== undefined ? !!own : parentStop
+  node.keys = getValidationKeys(validations)
+  const ruleKeys = node.keys.filter(
+    (key) => typeof validations[key] === 'function'
+  )
+  runRules(node, ruleKeys, model, parent, root, stop)
+  node.keys.forEach((key) => {
+    const def = validations[key]
+    if (typeof def === 'function') return
+    if (key === '$each') {
+      node.nested[key] = runEach(def, model, root, stop)
+    } else if (Array.isArray(def)) {
+      node.groups[key] = def
+    } else {
+      const value = model ? model[key] : undefined
+      node.nested[key] = run(def, value, model, root, stop)
+    }
+  })
+  return node
+}
+
+function runEach(def, model, root, stop) {
+  const validations = { ...def }
+  delete validations['$trackBy']
+  const keys = isObject(model) ? Object.keys(model) : []
+  return {
+    validations: {},
+    keys,
+    rules: {},
+    groups: {},
+    nested: buildFromKeys(keys, (key) =>
+      run(validations, model[key], model, root, stop)
+    )
+  }
+}
+
+function buildNode(vals, nestedKeys, ruleKeys, children, rules) {
+  const getRule = (key) => rules[key].rule
+  const getState = (key) => rules[key]
+  const warnings = collectEntries(
+    nestedKeys,
+    (key) => children[key].$warnings,
+    warningKeys(ruleKeys, getRule),
+    getState
+  )
+  return {
+    $invalid:
+      nestedKeys.some((key) => children[key].$invalid) ||
+      errorKeys(ruleKeys, getRule).some((key) => !rules[key].proxy),
+    $pending:
+      ruleKeys.some((key) => rules[key].$pending) ||
+      nestedKeys.some((key) => children[key].$pending),
+    $params: {
+      ...buildFromKeys(
+        nestedKeys,
+        (key) => (vals[key] && vals[key].$params) || null
+      ),
+      ...buildFromKeys(ruleKeys, (key) => rules[key].$params)
+    },
+    $errors: collectEntries(
+      nestedKeys,
+      (key) => children[key].$errors,
+      errorKeys(ruleKeys, getRule),
+      getState
+    ),
+    $warnings: warnings,
+    $anyWarning: warnings.length > 0,
+    ...children,
+    ...buildFromKeys(ruleKeys, (key) => rules[key].proxy)
+  }
+}
+
+// Second pass: build the result tree out of settled rule outputs.
+// Groups are left out until `resolveGroup` is given.
+function build(node, getOutput, resolveGroup) {
+  const keys = node.keys.filter(
+    (key) => resolveGroup || !node.groups.hasOwnProperty(key)
+  )
+  const nestedKeys = keys.filter((key) => !node.rules.hasOwnProperty(key))
+  const ruleKeys = keys.filter((key) => node.rules.hasOwnProperty(key))
+  const children = buildFromKeys(
+    nestedKeys,
+    (key) =>
+      node.groups.hasOwnProperty(key)
+        ? resolveGroup(node.groups[key])
+        : build(node.nested[key], getOutput, resolveGroup)
+  )
+  // states of rules, in the shape used by `collectEntries`
+  const rules = buildFromKeys(ruleKeys, (key) => {
+    const { rule, output, params, model, skipped } = node.rules[key]
+    const { pending, value } = skipped
+      ? { pending: false, value: null }
+      : getOutput(output)
+    return {
+      rule,
+      proxy: ruleResult(skipped, value),
+      $pending: pending,
+      $skipped: !!skipped,
+      $params: (!skipped && params) || null,
+      $message: skipped ? null : renderMessage(rule, params, model)
+    }
+  })
+  return buildNode(node.validations, nestedKeys, ruleKeys, children, rules)
+}
+
+// Groups reference results of other paths. Those are looked up in a tree
+// built without groups, so groups nested in referenced paths are ignored.
+function buildTree(node, root, getOutput) {
+  const tree = build(node, getOutput, null)
+  return build(node, getOutput, (paths) => {
+    const refs = buildFromKeys(
+      paths,
+      (path) => getPath(root, tree, path) || null,
+      groupKey
+    )
+    const keys = Object.keys(refs)
+    const nestedKeys = keys.filter((key) => refs[key] !== null)
+    const ruleKeys = keys.filter((key) => refs[key] === null)
+    // default to invalid
+    const rules = buildFromKeys(ruleKeys, () => ({
+      rule: null,
+      proxy: false,
+      $pending: false,
+      $skipped: false,
+      $params: null,
+      $message: renderMessage(null, null)
+    }))
+    return buildNode(
+      buildFromKeys(nestedKeys, () => null),
+      nestedKeys,
+      ruleKeys,
+      buildFromKeys(nestedKeys, (key) => refs[key]),
+      rules
+    )
+  })
+}
+
+const getValidations = (model, validations) =>
+  typeof validations === 'function' ? validations.call(model) : validations
+
+// Results of async validators are not awaited by `validate`, so their
+// rejections are ignored instead of being reported as unhandled
+function ignoreRejections(node) {
+  Object.keys(node.rules).forEach((key) => {
+    const output = node.rules[key].output
+    if (isPromise(output)) output.then(null, () => {})
+  })
+  Object.keys(node.nested).forEach((key) => ignoreRejections(node.nested[key]))
+}
+
+// Validates plain data. Async validators are reported as `$pending`.
+export function validate(model, validations) {
+  const node = run(
+    getValidations(model, validations),
+    model,
+    null,
+    model,
+    config.stopOnFirstFailure
+  )
+  ignoreRejections(node)
+  return buildTree(
+    node,
+    model,
+    (output) =>
+      isPromise(output)
+        ? { pending: true, value: false }
+        : { pending: false, value: output }
+  )
+}
+
+// Validates plain data, waiting for all async validators to settle.
+// Rejects when any of the async validators rejects.
+export function validateAsync(model, validations) {
+  let node
+  try {
+    node = run(
+      getValidations(model, validations),
+      model,
+      null,
+      model,
+      config.stopOnFirstFailure
+    )
+  } catch (error) {
+    return Promise.reject(error)
+  }
+
+  const settle = (n) => {
+    const pending = []
+    Object.keys(n.rules).forEach((key) => {
+      const rule = n.rules[key]
+      if (isPromise(rule.output)) {
+        pending.push(
+          Promise.resolve(rule.output).then((value) => {
+            rule.output = value
+            if (!value || !rule.resume) return
+            // settled rules are not promises anymore, so only the
+            // resumed ones are waited for
+            rule.resume()
+            return settle({ rules: n.rules, nested: {} })
+          })
+        )
+      }
+    })
+    Object.keys(n.nested).forEach((key) => pending.push(settle(n.nested[key])))
+    return Promise.all(pending)
+  }
+
+  return settle(node).then(() =>
+    buildTree(node, model, (output) => ({ pending: false, value: output }))
+  )
+}
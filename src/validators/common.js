@@ -1,5 +1,8 @@
 import withParams from '../withParams'
 export { withParams }
+export { withMessage } from '../messages'
+export { withTimeout } from '../timeout'
+export { withSeverity } from '../severity'
 
 // "required" core, used in almost every validator to allow empty values
 export const req = (value) => {
@@ -40,6 +43,6 @@ export const ref = (reference, vm, parentVm) =>
     ? reference.call(vm, parentVm)
     : parentVm[reference]
 
-// regex based validator template
-export const regex = (type, expr) =>
-  withParams({ type }, (value) => !req(value) || expr.test(value))
+// regex based validator template, optionally with additional params
+export const regex = (type, expr, params) =>
+  withParams({ type, ...params }, (value) => !req(value) || expr.test(value))
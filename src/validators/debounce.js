@@ -0,0 +1,40 @@
+import { withParams } from './common'
+import { withMeta, getMeta } from '../meta'
+
+// Runs the validator after `wait` ms, unless the run is aborted before.
+// An aborted run resolves to false, which vuelidate ignores anyway.
+export const deferCall = (wait, validator, ctx, args) => {
+  const signal = args[2]
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer)
+      resolve(false)
+    }
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort)
+      try {
+        Promise.resolve(validator.apply(ctx, args)).then(resolve, reject)
+      } catch (error) {
+        reject(error)
+      }
+    }, wait)
+    if (signal) {
+      if (signal.aborted) onAbort()
+      else signal.addEventListener('abort', onAbort)
+    }
+  })
+}
+
+// Deferred calls happen outside of the run, so the returned function adds
+// the static params of the validator to the run instead
+export const paramsAdder = (validator) =>
+  validator.$params ? withParams(validator.$params, () => true) : () => true
+
+// The metadata of the validator, like its message, is kept
+export default (wait, validator) => {
+  const addParams = paramsAdder(validator)
+  return withMeta(getMeta(validator), function(...args) {
+    addParams()
+    return deferCall(wait, validator, this, args)
+  })
+}
@@ -19,6 +19,8 @@ import minValue from './minValue'
 import maxValue from './maxValue'
 import integer from './integer'
 import decimal from './decimal'
+import debounce from './debounce'
+import throttle from './throttle'
 import * as helpers from './common'
 
 export {
@@ -43,5 +45,7 @@ export {
   maxValue,
   integer,
   decimal,
+  debounce,
+  throttle,
   helpers
 }
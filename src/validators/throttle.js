@@ -0,0 +1,22 @@
+import { withMeta, getMeta } from '../meta'
+import { deferCall, paramsAdder } from './debounce'
+
+// Delays runs of the validator coming within `wait` ms of the previous one
+// until that window ends. The window belongs to the throttled rule, not to
+// a model: when models share the rule, e.g. `$each` items, their early runs
+// are all delayed and then made together. Throttle fields with their own
+// `throttle` calls to keep them apart.
+export default (wait, validator) => {
+  const addParams = paramsAdder(validator)
+  let lastRun = -Infinity
+  const run = function(...args) {
+    lastRun = Date.now()
+    return validator.apply(this, args)
+  }
+  return withMeta(getMeta(validator), function(...args) {
+    const delay = lastRun + wait - Date.now()
+    if (delay <= 0) return run.apply(this, args)
+    addParams()
+    return deferCall(delay, run, this, args)
+  })
+}
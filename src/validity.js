@@ -0,0 +1,21 @@
+// Mirrors the state of a `$v` model into the Constraint Validation API, so
+// native `:invalid` styles, `checkValidity()` and `reportValidity()` agree
+// with vuelidate. The custom validity is the message of the first failing
+// rule while the model is `$invalid`, and is cleared when it is valid.
+import { modelDirective } from './directives'
+import { fallbackMessage } from './messages'
+
+export function getValidityMessage(model) {
+  // pending rules are not failing yet
+  if (!model || !model.$invalid || model.$pending) return ''
+  return model.$message || fallbackMessage
+}
+
+export const vValidity = modelDirective(
+  (model) => getValidityMessage(model),
+  (el, model) => {
+    if (typeof el.setCustomValidity === 'function') {
+      el.setCustomValidity(getValidityMessage(model))
+    }
+  }
+)
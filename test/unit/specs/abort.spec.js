@@ -0,0 +1,44 @@
+import { createAbortController, createFallbackAbortController } from 'src/abort'
+
+describe('abort controller', () => {
+  it('should create a controller with a signal', () => {
+    const controller = createAbortController()
+    expect(controller.signal.aborted).to.be.false
+    controller.abort()
+    expect(controller.signal.aborted).to.be.true
+  })
+
+  describe('fallback', () => {
+    it('should not be aborted initially', () => {
+      expect(createFallbackAbortController().signal.aborted).to.be.false
+    })
+
+    it('should be aborted after abort', () => {
+      const controller = createFallbackAbortController()
+      controller.abort()
+      expect(controller.signal.aborted).to.be.true
+    })
+
+    it('should notify listeners and onabort once', () => {
+      const controller = createFallbackAbortController()
+      const listener = sinon.spy()
+      const onabort = sinon.spy()
+      controller.signal.addEventListener('abort', listener)
+      controller.signal.onabort = onabort
+      controller.abort()
+      controller.abort()
+      expect(listener).to.have.been.calledOnce
+      expect(onabort).to.have.been.calledOnce
+      expect(listener.firstCall.args[0].type).to.equal('abort')
+    })
+
+    it('should not notify removed listeners', () => {
+      const controller = createFallbackAbortController()
+      const listener = sinon.spy()
+      controller.signal.addEventListener('abort', listener)
+      controller.signal.removeEventListener('abort', listener)
+      controller.abort()
+      expect(listener).to.not.have.been.called
+    })
+  })
+})
@@ -0,0 +1,127 @@
+import {
+  normalizePath,
+  fromProblemDetails,
+  fromJsonApi,
+  fromLaravel
+} from 'src/adapters'
+
+describe('External results adapters', () => {
+  describe('normalizePath', () => {
+    it('should keep dotted paths', () => {
+      expect(normalizePath('items.0.name')).to.equal('items.0.name')
+    })
+
+    it('should convert brackets', () => {
+      expect(normalizePath('items[0].name')).to.equal('items.0.name')
+      expect(normalizePath('[0].name')).to.equal('0.name')
+    })
+
+    it('should convert JSON pointers', () => {
+      expect(normalizePath('/items/0/name')).to.equal('items.0.name')
+      expect(normalizePath('/a~1b/c~0d')).to.equal('a/b.c~d')
+      expect(normalizePath('')).to.equal('')
+    })
+
+    it('should map non-strings to the root', () => {
+      expect(normalizePath(undefined)).to.equal('')
+    })
+  })
+
+  describe('fromProblemDetails', () => {
+    it('should map invalid-params', () => {
+      expect(
+        fromProblemDetails({
+          type: 'https://example.net/validation-error',
+          title: 'Your request parameters did not validate.',
+          'invalid-params': [
+            { name: 'age', reason: 'must be a positive integer' },
+            { name: 'items[1].name', reason: 'is too short' },
+            { name: 'age', reason: 'is required' }
+          ]
+        })
+      ).to.deep.equal({
+        age: ['must be a positive integer', 'is required'],
+        'items.1.name': ['is too short']
+      })
+    })
+
+    it('should ignore malformed bodies', () => {
+      expect(fromProblemDetails(null)).to.deep.equal({})
+      expect(fromProblemDetails({ 'invalid-params': 'x' })).to.deep.equal({})
+      expect(
+        fromProblemDetails({ 'invalid-params': [null, { name: 'a' }] })
+      ).to.deep.equal({})
+    })
+  })
+
+  describe('fromJsonApi', () => {
+    it('should map source pointers', () => {
+      expect(
+        fromJsonApi({
+          errors: [
+            {
+              detail: 'First name must contain at least two characters.',
+              source: { pointer: '/data/attributes/firstName' }
+            },
+            {
+              title: 'Invalid Attribute',
+              source: { pointer: '/data/attributes/items/0/name' }
+            },
+            {
+              detail: 'Author is required',
+              source: { pointer: '/data/relationships/author' }
+            }
+          ]
+        })
+      ).to.deep.equal({
+        firstName: ['First name must contain at least two characters.'],
+        'items.0.name': ['Invalid Attribute'],
+        author: ['Author is required']
+      })
+    })
+
+    it('should assign errors without pointer to the root', () => {
+      expect(
+        fromJsonApi({
+          errors: [
+            { detail: 'Invalid document', source: { pointer: '/data' } },
+            { detail: 'Bad query', source: { parameter: 'include' } }
+          ]
+        })
+      ).to.deep.equal({ '': ['Invalid document', 'Bad query'] })
+    })
+
+    it('should ignore malformed bodies', () => {
+      expect(fromJsonApi(undefined)).to.deep.equal({})
+      expect(fromJsonApi({ errors: {} })).to.deep.equal({})
+    })
+  })
+
+  describe('fromLaravel', () => {
+    it('should map error keys', () => {
+      expect(
+        fromLaravel({
+          message: 'The given data was invalid.',
+          errors: {
+            email: ['The email has already been taken.'],
+            'items.0.name': ['The name field is required.', 'Too short.']
+          }
+        })
+      ).to.deep.equal({
+        email: ['The email has already been taken.'],
+        'items.0.name': ['The name field is required.', 'Too short.']
+      })
+    })
+
+    it('should accept single messages', () => {
+      expect(fromLaravel({ errors: { email: 'Taken' } })).to.deep.equal({
+        email: ['Taken']
+      })
+    })
+
+    it('should ignore malformed bodies', () => {
+      expect(fromLaravel({})).to.deep.equal({})
+      expect(fromLaravel({ errors: ['x'] })).to.deep.equal({})
+    })
+  })
+})
@@ -0,0 +1,148 @@
+import Vue from 'vue'
+import { vAria, getErrorId } from 'src/aria'
+
+const isOdd = (v) => v % 2 === 1
+
+describe('v-aria directive', () => {
+  const mount = (template, data = {}, validations) =>
+    new Vue({
+      directives: { aria: vAria },
+      data: { value: 4, show: true, ...data },
+      validations: validations || { value: { isOdd } },
+      template
+    }).$mount()
+
+  it('should not mark valid or clean models', () => {
+    const vm = mount('<input id="value" v-aria="$v.value">')
+    expect(vm.$el.hasAttribute('aria-invalid')).to.be.false
+    expect(vm.$el.hasAttribute('aria-describedby')).to.be.false
+    expect(vm.$el.hasAttribute('aria-busy')).to.be.false
+  })
+
+  it('should set aria-invalid and aria-describedby on error', () => {
+    const vm = mount('<input id="value" v-aria="$v.value">')
+    vm.$v.value.$touch()
+    return Vue.nextTick()
+      .then(() => {
+        expect(vm.$el.getAttribute('aria-invalid')).to.equal('true')
+        expect(vm.$el.getAttribute('aria-describedby')).to.equal('value-error')
+        vm.value = 5
+        return Vue.nextTick()
+      })
+      .then(() => {
+        expect(vm.$el.hasAttribute('aria-invalid')).to.be.false
+        expect(vm.$el.hasAttribute('aria-describedby')).to.be.false
+      })
+  })
+
+  it('should apply the state on bind', () => {
+    const vm = new Vue({
+      directives: { aria: vAria },
+      data: { value: 4, show: false },
+      validations: { value: { isOdd } },
+      template: '<div><input v-if="show" id="value" v-aria="$v.value"></div>'
+    }).$mount()
+    vm.$v.value.$touch()
+    vm.show = true
+    return Vue.nextTick().then(() => {
+      const input = vm.$el.querySelector('input')
+      expect(input.getAttribute('aria-invalid')).to.equal('true')
+    })
+  })
+
+  it('should keep other aria-describedby ids', () => {
+    const vm = mount(
+      '<input id="value" aria-describedby="hint" v-aria:custom-error="$v.value">'
+    )
+    vm.$v.value.$touch()
+    return Vue.nextTick()
+      .then(() => {
+        expect(vm.$el.getAttribute('aria-describedby')).to.equal(
+          'hint custom-error'
+        )
+        vm.$v.value.$reset()
+        return Vue.nextTick()
+      })
+      .then(() => {
+        expect(vm.$el.getAttribute('aria-describedby')).to.equal('hint')
+      })
+  })
+
+  it('should set aria-busy while pending', () => {
+    let resolve
+    const asyncVal = () =>
+      new Promise((r) => {
+        resolve = r
+      })
+    const vm = mount(
+      '<input id="value" v-aria="$v.value">',
+      {},
+      { value: { asyncVal } }
+    )
+    expect(vm.$el.getAttribute('aria-busy')).to.equal('true')
+    resolve(true)
+    return new Promise((r) => setTimeout(r)).then(() => {
+      expect(vm.$el.hasAttribute('aria-busy')).to.be.false
+    })
+  })
+
+  it('should follow changes of the bound model', () => {
+    const vm = mount(
+      '<input id="value" v-aria="useOther ? $v.other : $v.value" :data-x="useOther">',
+      { other: 5, useOther: false },
+      { value: { isOdd }, other: { isOdd } }
+    )
+    vm.$v.$touch()
+    return Vue.nextTick()
+      .then(() => {
+        expect(vm.$el.getAttribute('aria-invalid')).to.equal('true')
+        vm.useOther = true
+        return Vue.nextTick()
+      })
+      .then(() => {
+        expect(vm.$el.hasAttribute('aria-invalid')).to.be.false
+        vm.other = 6
+        return Vue.nextTick()
+      })
+      .then(() => {
+        expect(vm.$el.getAttribute('aria-invalid')).to.equal('true')
+      })
+  })
+
+  it('should stop watching on unbind', () => {
+    const vm = mount(
+      '<div><input v-if="show" id="value" v-aria="$v.value"></div>'
+    )
+    const input = vm.$el.querySelector('input')
+    vm.show = false
+    return Vue.nextTick()
+      .then(() => {
+        vm.$v.value.$touch()
+        return Vue.nextTick()
+      })
+      .then(() => {
+        expect(input.hasAttribute('aria-invalid')).to.be.false
+      })
+  })
+
+  describe('getErrorId', () => {
+    it('should prefer the argument', () => {
+      const el = document.createElement('input')
+      expect(getErrorId(el, 'msg')).to.equal('msg')
+      expect(el.id).to.equal('')
+    })
+
+    it('should derive the id from the element id', () => {
+      const el = document.createElement('input')
+      el.id = 'email'
+      expect(getErrorId(el)).to.equal('email-error')
+    })
+
+    it('should generate missing element ids', () => {
+      const el = document.createElement('input')
+      const id = getErrorId(el)
+      expect(el.id).to.match(/^vuelidate-field-\d+$/)
+      expect(id).to.equal(`${el.id}-error`)
+    })
+  })
+})
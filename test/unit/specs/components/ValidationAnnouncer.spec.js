@@ -0,0 +1,72 @@
+import Vue from 'vue'
+import { withMessage } from 'src'
+import ValidationAnnouncer from 'src/components/ValidationAnnouncer'
+
+const F = () => false
+
+describe('ValidationAnnouncer', () => {
+  const mount = (props = {}) =>
+    new Vue({
+      data: { a: 1, b: 2 },
+      validations: {
+        a: { F: withMessage('A is wrong', F) },
+        b: { F: withMessage('B is wrong', F) }
+      },
+      render(h) {
+        return h(ValidationAnnouncer, { props: { v: this.$v, ...props } })
+      }
+    }).$mount()
+
+  it('should render a polite live region', () => {
+    const vm = mount()
+    expect(vm.$el.getAttribute('role')).to.equal('status')
+    expect(vm.$el.getAttribute('aria-live')).to.equal('polite')
+    expect(vm.$el.style.position).to.equal('absolute')
+    expect(vm.$el.textContent).to.equal('')
+  })
+
+  it('should accept assertive politeness', () => {
+    const vm = mount({ politeness: 'assertive' })
+    expect(vm.$el.getAttribute('aria-live')).to.equal('assertive')
+  })
+
+  it('should announce errors as they appear', () => {
+    const vm = mount()
+    vm.$v.a.$touch()
+    return Vue.nextTick()
+      .then(() => Vue.nextTick())
+      .then(() => {
+        expect(vm.$el.textContent).to.equal('A is wrong')
+        vm.$v.b.$touch()
+        return Vue.nextTick()
+      })
+      .then(() => Vue.nextTick())
+      .then(() => {
+        expect(vm.$el.textContent).to.equal('B is wrong')
+      })
+  })
+
+  it('should announce errors appearing together at once', () => {
+    const vm = mount()
+    vm.$v.$touch()
+    return Vue.nextTick()
+      .then(() => Vue.nextTick())
+      .then(() => {
+        expect(vm.$el.textContent).to.equal('A is wrong. B is wrong')
+      })
+  })
+
+  it('should clear the announcement when all errors are gone', () => {
+    const vm = mount()
+    vm.$v.$touch()
+    return Vue.nextTick()
+      .then(() => {
+        vm.$v.$reset()
+        return Vue.nextTick()
+      })
+      .then(() => Vue.nextTick())
+      .then(() => {
+        expect(vm.$el.textContent).to.equal('')
+      })
+  })
+})
@@ -0,0 +1,80 @@
+import Vue from 'vue'
+import { withParams } from 'src'
+import ValidationField from 'src/components/ValidationField'
+
+const isOdd = withParams({ type: 'isOdd' }, (v) => v % 2 === 1)
+
+describe('ValidationField', () => {
+  const mount = (template, value = 4) =>
+    new Vue({
+      components: { ValidationField },
+      data: { value },
+      validations: {
+        value: { isOdd }
+      },
+      template
+    }).$mount()
+
+  it('should render the scoped slot without a wrapper', () => {
+    const vm = mount(
+      '<div><validation-field :v="$v.value">' +
+        '<span slot-scope="field">{{ field.invalid }}</span>' +
+        '</validation-field></div>'
+    )
+    expect(vm.$el.innerHTML).to.equal('<span>true</span>')
+  })
+
+  it('should pass error, dirty, pending and messages', () => {
+    const slot = sinon.stub().returns(null)
+    const vm = new Vue({
+      data: { value: 4 },
+      validations: { value: { isOdd } },
+      render(h) {
+        return h(ValidationField, {
+          props: { v: this.$v.value },
+          scopedSlots: { default: slot }
+        })
+      }
+    }).$mount()
+    let props = slot.lastCall.args[0]
+    expect(props.error).to.be.false
+    expect(props.dirty).to.be.false
+    expect(props.pending).to.be.false
+    expect(props.invalid).to.be.true
+    expect(props.messages).to.deep.equal(['Value is invalid'])
+    expect(props.message).to.equal('Value is invalid')
+    expect(props.model).to.equal(vm.$v.value)
+
+    props.touch()
+    return Vue.nextTick().then(() => {
+      props = slot.lastCall.args[0]
+      expect(props.dirty).to.be.true
+      expect(props.error).to.be.true
+      props.reset()
+      expect(vm.$v.value.$dirty).to.be.false
+    })
+  })
+
+  it('should update when the model changes', () => {
+    const vm = mount(
+      '<validation-field :v="$v.value">' +
+        '<span slot-scope="{ invalid }">{{ invalid }}</span>' +
+        '</validation-field>'
+    )
+    expect(vm.$el.textContent).to.equal('true')
+    vm.value = 5
+    return Vue.nextTick().then(() => {
+      expect(vm.$el.textContent).to.equal('false')
+    })
+  })
+
+  it('should wrap multiple root nodes in a div', () => {
+    const vm = mount(
+      '<validation-field :v="$v.value">' +
+        '<template slot-scope="{ invalid }"><b>a</b><i>b</i></template>' +
+        '</validation-field>'
+    )
+    expect(vm.$el.tagName).to.equal('DIV')
+    expect(vm.$el.children.length).to.equal(2)
+  })
+})
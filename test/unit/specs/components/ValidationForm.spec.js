@@ -0,0 +1,126 @@
+import Vue from 'vue'
+import { withParams } from 'src'
+import ValidationForm from 'src/components/ValidationForm'
+
+const isOdd = withParams({ type: 'isOdd' }, (v) => v % 2 === 1)
+
+describe('ValidationForm', () => {
+  const mount = (value, listeners = {}, validations) => {
+    const slot = sinon.stub().returns(null)
+    const vm = new Vue({
+      data: { value, nested: { other: 1 } },
+      validations: validations || {
+        value: { isOdd },
+        nested: { other: { isOdd } }
+      },
+      render(h) {
+        return h(ValidationForm, {
+          props: { v: this.$v },
+          on: listeners,
+          scopedSlots: { default: slot }
+        })
+      }
+    }).$mount()
+    return { vm, slot, props: () => slot.lastCall.args[0] }
+  }
+
+  it('should expose the tree state', () => {
+    const { props } = mount(4)
+    expect(props().invalid).to.be.true
+    expect(props().error).to.be.false
+    expect(props().dirty).to.be.false
+    expect(props().pending).to.be.false
+    expect(props().submitting).to.be.false
+    expect(props().errors).to.have.length(1)
+  })
+
+  it('should touch the whole tree on submit', () => {
+    const { vm, props } = mount(4)
+    props().submit()
+    expect(vm.$v.value.$dirty).to.be.true
+    expect(vm.$v.nested.other.$dirty).to.be.true
+  })
+
+  it('should emit submit when valid', () => {
+    const onSubmit = sinon.spy()
+    const onInvalid = sinon.spy()
+    const { vm, props } = mount(5, { submit: onSubmit, invalid: onInvalid })
+    return props()
+      .submit()
+      .then((valid) => {
+        expect(valid).to.be.true
+        expect(onSubmit).to.have.been.calledWith(vm.$v)
+        expect(onInvalid).not.to.have.been.called
+      })
+  })
+
+  it('should emit invalid when invalid', () => {
+    const onSubmit = sinon.spy()
+    const onInvalid = sinon.spy()
+    const { props } = mount(4, { submit: onSubmit, invalid: onInvalid })
+    return props()
+      .submit()
+      .then((valid) => {
+        expect(valid).to.be.false
+        expect(onInvalid).to.have.been.calledOnce
+        expect(onSubmit).not.to.have.been.called
+      })
+  })
+
+  it('should await pending async validators', () => {
+    let resolve
+    const asyncVal = () =>
+      new Promise((r) => {
+        resolve = r
+      })
+    const onSubmit = sinon.spy()
+    const { props } = mount(5, { submit: onSubmit }, { value: { asyncVal } })
+    const result = props().submit()
+    expect(onSubmit).not.to.have.been.called
+    return Vue.nextTick()
+      .then(() => {
+        expect(props().submitting).to.be.true
+        resolve(true)
+        return result
+      })
+      .then(() => {
+        expect(onSubmit).to.have.been.calledOnce
+        return Vue.nextTick()
+      })
+      .then(() => {
+        expect(props().submitting).to.be.false
+      })
+  })
+
+  it('should prevent the default action of submit events', () => {
+    const { props } = mount(5)
+    const event = { preventDefault: sinon.spy() }
+    return props()
+      .submit(event)
+      .then(() => {
+        expect(event.preventDefault).to.have.been.calledOnce
+      })
+  })
+
+  it('should reset the tree', () => {
+    const { vm, props } = mount(4)
+    vm.$v.$touch()
+    props().reset()
+    expect(vm.$v.$anyDirty).to.be.false
+  })
+
+  it('should render the scoped slot', () => {
+    const vm = new Vue({
+      components: { ValidationForm },
+      data: { value: 4 },
+      validations: { value: { isOdd } },
+      template:
+        '<validation-form :v="$v">' +
+        '<form slot-scope="{ submit, invalid }" @submit="submit">' +
+        '{{ invalid }}</form>' +
+        '</validation-form>'
+    }).$mount()
+    expect(vm.$el.tagName).to.equal('FORM')
+    expect(vm.$el.textContent).to.equal('true')
+  })
+})
@@ -0,0 +1,175 @@
+import Vue from 'vue'
+import { fromConstraints, getConstraints } from 'src/constraints'
+import { required, email } from 'src/validators'
+
+const form = (html) => {
+  const el = document.createElement('form')
+  el.innerHTML = html
+  return el
+}
+
+const input = (html) => form(html).firstChild
+
+const paramsOf = (rule, value = '') => {
+  const vm = new Vue({
+    data: { value },
+    validations: { value: { rule } }
+  })
+  return vm.$v.value.$params.rule
+}
+
+describe('HTML constraints', () => {
+  describe('getConstraints', () => {
+    it('should map required', () => {
+      expect(getConstraints(input('<input required>')).required).to.equal(
+        required
+      )
+    })
+
+    it('should map minlength and maxlength', () => {
+      const rules = getConstraints(input('<input minlength="2" maxlength="5">'))
+      expect(paramsOf(rules.minLength)).to.deep.equal({
+        type: 'minLength',
+        min: 2
+      })
+      expect(paramsOf(rules.maxLength)).to.deep.equal({
+        type: 'maxLength',
+        max: 5
+      })
+      expect(rules.minLength('a')).to.be.false
+      expect(rules.maxLength('abcdef')).to.be.false
+    })
+
+    it('should map numeric min and max', () => {
+      const rules = getConstraints(
+        input('<input type="number" min="1" max="9">')
+      )
+      expect(paramsOf(rules.minValue)).to.deep.equal({
+        type: 'minValue',
+        min: 1
+      })
+      expect(rules.minValue(0)).to.be.false
+      expect(rules.maxValue(10)).to.be.false
+      expect(rules.maxValue(9)).to.be.true
+    })
+
+    it('should skip non numeric min and max', () => {
+      const rules = getConstraints(
+        input('<input type="date" min="2020-01-01">')
+      )
+      expect(rules).to.deep.equal({})
+    })
+
+    it('should map pattern with helpers.regex matching the whole value', () => {
+      const rules = getConstraints(input('<input pattern="[a-z]+">'))
+      expect(rules.pattern('abc')).to.be.true
+      expect(rules.pattern('abc1')).to.be.false
+      expect(rules.pattern('')).to.be.true
+      expect(paramsOf(rules.pattern)).to.deep.equal({
+        type: 'pattern',
+        pattern: '[a-z]+'
+      })
+    })
+
+    it('should anchor alternatives of the pattern', () => {
+      const rules = getConstraints(input('<input pattern="a|b">'))
+      expect(rules.pattern('a')).to.be.true
+      expect(rules.pattern('ab')).to.be.false
+    })
+
+    it('should ignore invalid patterns', () => {
+      expect(getConstraints(input('<input pattern="[">'))).to.deep.equal({})
+    })
+
+    it('should map email and url types', () => {
+      expect(getConstraints(input('<input type="email">')).email).to.equal(
+        email
+      )
+      expect(getConstraints(input('<input type="url">')).url('x')).to.be.false
+    })
+
+    it('should require checkboxes to be checked', () => {
+      const rules = getConstraints(input('<input type="checkbox" required>'))
+      expect(rules.required(false)).to.be.false
+      expect(rules.required(true)).to.be.true
+      expect(paramsOf(rules.required, false)).to.deep.equal({
+        type: 'required'
+      })
+    })
+
+    it('should ignore invalid lengths', () => {
+      expect(
+        getConstraints(input('<input minlength="x" maxlength="-1">'))
+      ).to.deep.equal({})
+    })
+  })
+
+  describe('fromConstraints', () => {
+    it('should build validations keyed by name', () => {
+      const validations = fromConstraints(
+        form(
+          '<input name="name" required minlength="2">' +
+            '<select name="country" required></select>' +
+            '<textarea name="bio" maxlength="100"></textarea>'
+        )
+      )
+      expect(validations).to.have.all.keys('name', 'country', 'bio')
+      expect(validations.name).to.have.all.keys('required', 'minLength')
+      expect(validations.country).to.have.all.keys('required')
+      expect(validations.bio).to.have.all.keys('maxLength')
+    })
+
+    it('should nest dotted names', () => {
+      const validations = fromConstraints(
+        form(
+          '<input name="address.city" required>' +
+            '<input name="address.zip" pattern="\\d{5}">'
+        )
+      )
+      expect(validations.address.city).to.have.all.keys('required')
+      expect(validations.address.zip).to.have.all.keys('pattern')
+    })
+
+    it('should merge radio groups', () => {
+      const validations = fromConstraints(
+        form(
+          '<input type="radio" name="size" value="s" required>' +
+            '<input type="radio" name="size" value="m">'
+        )
+      )
+      expect(validations.size).to.have.all.keys('required')
+    })
+
+    it('should skip unnamed, disabled and button controls', () => {
+      const validations = fromConstraints(
+        form(
+          '<input required>' +
+            '<input name="a" required disabled>' +
+            '<input name="b" type="submit" required>' +
+            '<input name="c" type="hidden" required>' +
+            '<input name="d">'
+        )
+      )
+      expect(validations).to.deep.equal({})
+    })
+
+    it('should validate a model', () => {
+      const validations = fromConstraints(
+        form('<input name="email" type="email" required>')
+      )
+      const vm = new Vue({
+        data: { email: 'x' },
+        validations
+      })
+      expect(vm.$v.email.email).to.be.false
+      vm.email = 'a@b.cd'
+      expect(vm.$v.email.$invalid).to.be.false
+    })
+
+    it('should throw without an element', () => {
+      expect(() => fromConstraints(null)).to.throw(
+        'fromConstraints requires a form or a container element'
+      )
+    })
+  })
+})
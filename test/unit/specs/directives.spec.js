@@ -0,0 +1,188 @@
+import Vue from 'vue'
+import { vTouch, vSubmit, vBlur } from 'src/directives'
+
+const T = () => true
+
+describe('v-touch directive', () => {
+  const mount = (template, data = {}) =>
+    new Vue({
+      directives: { touch: vTouch },
+      data: { value: 4, show: true, ...data },
+      validations: {
+        value: { T }
+      },
+      template
+    }).$mount()
+
+  const fire = (el, event) => el.dispatchEvent(new Event(event))
+
+  it('should touch the model on blur', () => {
+    const vm = mount('<input v-touch="$v.value">')
+    fire(vm.$el, 'focusout')
+    expect(vm.$v.value.$dirty).to.be.true
+  })
+
+  it('should touch the model on change', () => {
+    const vm = mount('<input v-touch="$v.value">')
+    fire(vm.$el, 'change')
+    expect(vm.$v.value.$dirty).to.be.true
+  })
+
+  it('should not touch the model on input by default', () => {
+    const vm = mount('<input v-touch="$v.value">')
+    fire(vm.$el, 'input')
+    expect(vm.$v.value.$dirty).to.be.false
+  })
+
+  it('should listen only to events given as modifiers', () => {
+    const vm = mount('<input v-touch.input="$v.value">')
+    fire(vm.$el, 'focusout')
+    fire(vm.$el, 'change')
+    expect(vm.$v.value.$dirty).to.be.false
+    fire(vm.$el, 'input')
+    expect(vm.$v.value.$dirty).to.be.true
+  })
+
+  it('should catch events of nested inputs', () => {
+    const vm = mount('<div v-touch.blur="$v.value"><input></div>')
+    vm.$el
+      .querySelector('input')
+      .dispatchEvent(new Event('focusout', { bubbles: true }))
+    expect(vm.$v.value.$dirty).to.be.true
+  })
+
+  it('should work on components', () => {
+    const Field = { template: '<label><input></label>' }
+    const vm = new Vue({
+      directives: { touch: vTouch },
+      components: { Field },
+      data: { value: 4 },
+      validations: { value: { T } },
+      template: '<div><field v-touch.change="$v.value"/></div>'
+    }).$mount()
+    vm.$el
+      .querySelector('input')
+      .dispatchEvent(new Event('change', { bubbles: true }))
+    expect(vm.$v.value.$dirty).to.be.true
+  })
+
+  describe('debounce', () => {
+    let clock
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers()
+    })
+
+    afterEach(() => {
+      clock.restore()
+    })
+
+    it('should touch the model after the wait', () => {
+      const vm = mount('<input v-touch:300.input="$v.value">')
+      fire(vm.$el, 'input')
+      clock.tick(299)
+      expect(vm.$v.value.$dirty).to.be.false
+      clock.tick(1)
+      expect(vm.$v.value.$dirty).to.be.true
+    })
+
+    it('should restart the wait on each event', () => {
+      const vm = mount('<input v-touch:300.input="$v.value">')
+      fire(vm.$el, 'input')
+      clock.tick(200)
+      fire(vm.$el, 'input')
+      clock.tick(200)
+      expect(vm.$v.value.$dirty).to.be.false
+      clock.tick(100)
+      expect(vm.$v.value.$dirty).to.be.true
+    })
+
+    it('should cancel the pending touch on unbind', () => {
+      const vm = mount(
+        '<div><input v-if="show" v-touch:300.input="$v.value"></div>'
+      )
+      fire(vm.$el.querySelector('input'), 'input')
+      vm.show = false
+      return Vue.nextTick().then(() => {
+        clock.tick(300)
+        expect(vm.$v.value.$dirty).to.be.false
+      })
+    })
+  })
+
+  it('should throw on invalid wait', () => {
+    expect(() =>
+      vTouch.bind(document.createElement('input'), {
+        arg: 'soon',
+        modifiers: {}
+      })
+    ).to.throw('v-touch argument must be a debounce wait in ms')
+  })
+
+  it('should remove listeners on unbind', () => {
+    const vm = mount('<div><input v-if="show" v-touch="$v.value"></div>')
+    const input = vm.$el.querySelector('input')
+    vm.show = false
+    return Vue.nextTick().then(() => {
+      fire(input, 'focusout')
+      fire(input, 'change')
+      expect(vm.$v.value.$dirty).to.be.false
+    })
+  })
+
+  it('should touch the currently bound model', () => {
+    const vm = new Vue({
+      directives: { touch: vTouch },
+      data: { value: 4, other: 4, useOther: false },
+      validations: { value: { T }, other: { T } },
+      template:
+        '<input v-touch="useOther ? $v.other : $v.value" :data-x="useOther">'
+    }).$mount()
+    vm.useOther = true
+    return Vue.nextTick().then(() => {
+      fire(vm.$el, 'change')
+      expect(vm.$v.other.$dirty).to.be.true
+      expect(vm.$v.value.$dirty).to.be.false
+    })
+  })
+})
+
+describe('v-submit directive', () => {
+  const mount = () =>
+    new Vue({
+      directives: { submit: vSubmit },
+      data: { value: 4 },
+      validations: { value: { T } },
+      template: '<form v-submit="$v"><input></form>'
+    }).$mount()
+
+  const submit = (el) => {
+    const event = new Event('submit', { cancelable: true })
+    el.dispatchEvent(event)
+    return event
+  }
+
+  it('should submit the model', () => {
+    const vm = mount()
+    submit(vm.$el)
+    expect(vm.$v.$dirty).to.be.true
+  })
+
+  it('should prevent the native submit', () => {
+    const vm = mount()
+    expect(submit(vm.$el).defaultPrevented).to.be.true
+  })
+
+  it('should not prevent default actions of other directives', () => {
+    const vm = new Vue({
+      directives: { blur: vBlur },
+      data: { value: 4 },
+      validations: { value: { T } },
+      template: '<input v-blur="$v.value">'
+    }).$mount()
+    const event = new Event('focusout', { cancelable: true })
+    vm.$el.dispatchEvent(event)
+    expect(event.defaultPrevented).to.be.false
+    expect(vm.$v.value.$dirty).to.be.true
+  })
+})
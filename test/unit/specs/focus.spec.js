@@ -0,0 +1,166 @@
+import Vue from 'vue'
+import { vFocusTarget, findFirstError, focusFirstError } from 'src/focus'
+
+const T = () => true
+const F = () => false
+
+describe('focus', () => {
+  const create = (data, validations, template = '<div></div>') =>
+    new Vue({
+      directives: { focusTarget: vFocusTarget },
+      data,
+      validations,
+      template
+    }).$mount()
+
+  describe('findFirstError', () => {
+    it('should return null without errors', () => {
+      const vm = create({ a: 1 }, { a: { F } })
+      expect(findFirstError(vm.$v)).to.be.null
+    })
+
+    it('should find the first error in declaration order', () => {
+      const vm = create({ a: 1, b: 2, c: 3 }, { a: { T }, b: { F }, c: { F } })
+      vm.$v.$touch()
+      const error = findFirstError(vm.$v)
+      expect(error.path).to.deep.equal(['b'])
+      expect(error.model).to.equal(vm.$v.b)
+    })
+
+    it('should skip models without $error', () => {
+      const vm = create({ a: 1, b: 2 }, { a: { F }, b: { F } })
+      vm.$v.b.$touch()
+      expect(findFirstError(vm.$v).path).to.deep.equal(['b'])
+    })
+
+    it('should follow nested models', () => {
+      const vm = create(
+        { a: 1, nested: { x: 1, y: 2 } },
+        { nested: { x: { T }, y: { F } }, a: { F } }
+      )
+      vm.$v.$touch()
+      expect(findFirstError(vm.$v).path).to.deep.equal(['nested', 'y'])
+    })
+
+    it('should return model paths of $each items', () => {
+      const vm = create(
+        { list: [{ name: 'a' }, { name: '' }] },
+        { list: { $each: { name: { required: (v) => !!v } } } }
+      )
+      vm.$v.$touch()
+      const error = findFirstError(vm.$v)
+      expect(error.path).to.deep.equal(['list', '1', 'name'])
+      expect(error.model).to.equal(vm.$v.list.$each[1].name)
+    })
+
+    it('should find errors of external results', () => {
+      const vm = create({ a: 1, b: 2 }, { a: { T }, b: { T } })
+      vm.$v.$setExternalResults({ b: 'Taken' })
+      expect(findFirstError(vm.$v).path).to.deep.equal(['b'])
+    })
+  })
+
+  describe('focusFirstError', () => {
+    it('should focus the element registered with vFocusTarget', () => {
+      const vm = create(
+        { a: 1, b: 2 },
+        { a: { T }, b: { F } },
+        '<div><input v-focus-target="$v.a"><input v-focus-target="$v.b"></div>'
+      )
+      document.body.appendChild(vm.$el)
+      vm.$v.$touch()
+      const error = focusFirstError(vm.$v)
+      expect(error.path).to.deep.equal(['b'])
+      expect(document.activeElement).to.equal(vm.$el.children[1])
+      document.body.removeChild(vm.$el)
+    })
+
+    it('should focus the first focusable element inside the target', () => {
+      const vm = create(
+        { a: 1 },
+        { a: { F } },
+        '<div><label v-focus-target="$v.a">A <select></select></label></div>'
+      )
+      document.body.appendChild(vm.$el)
+      vm.$v.$touch()
+      focusFirstError(vm.$v)
+      expect(document.activeElement.tagName).to.equal('SELECT')
+      document.body.removeChild(vm.$el)
+    })
+
+    it('should prefer elements from refs', () => {
+      const vm = create(
+        { list: [{ name: '' }] },
+        { list: { $each: { name: { F } } } },
+        '<div><input ref="name"><input v-focus-target="$v.list.$each[0].name"></div>'
+      )
+      document.body.appendChild(vm.$el)
+      vm.$v.$touch()
+      focusFirstError(vm.$v, { refs: { 'list.0.name': [vm.$refs.name] } })
+      expect(document.activeElement).to.equal(vm.$refs.name)
+      document.body.removeChild(vm.$el)
+    })
+
+    it('should accept component refs', () => {
+      const vm = new Vue({
+        components: { Field: { template: '<p><input></p>' } },
+        data: { a: 1 },
+        validations: { a: { F } },
+        template: '<div><field ref="a"/></div>'
+      }).$mount()
+      document.body.appendChild(vm.$el)
+      vm.$v.$touch()
+      focusFirstError(vm.$v, { refs: vm.$refs })
+      expect(document.activeElement.tagName).to.equal('INPUT')
+      document.body.removeChild(vm.$el)
+    })
+
+    it('should scroll the element into view', () => {
+      const vm = create(
+        { a: 1 },
+        { a: { F } },
+        '<div><input v-focus-target="$v.a"></div>'
+      )
+      const input = vm.$el.children[0]
+      input.scrollIntoView = sinon.spy()
+      vm.$v.$touch()
+      focusFirstError(vm.$v)
+      expect(input.scrollIntoView).to.have.been.calledWith({ block: 'center' })
+      focusFirstError(vm.$v, { scroll: { behavior: 'smooth' } })
+      expect(input.scrollIntoView).to.have.been.calledWith({
+        behavior: 'smooth'
+      })
+      focusFirstError(vm.$v, { scroll: false })
+      expect(input.scrollIntoView).to.have.been.calledTwice
+    })
+
+    it('should return the error without a registered element', () => {
+      const vm = create({ a: 1 }, { a: { F } })
+      vm.$v.$touch()
+      expect(focusFirstError(vm.$v).path).to.deep.equal(['a'])
+    })
+
+    it('should return null without errors', () => {
+      const vm = create({ a: 1 }, { a: { T } })
+      vm.$v.$touch()
+      expect(focusFirstError(vm.$v)).to.be.null
+    })
+
+    it('should unregister elements on unbind', () => {
+      const vm = create(
+        { a: 1, show: true },
+        { a: { F } },
+        '<div><input v-if="show" v-focus-target="$v.a"></div>'
+      )
+      document.body.appendChild(vm.$el)
+      const input = vm.$el.children[0]
+      vm.show = false
+      return Vue.nextTick().then(() => {
+        vm.$v.$touch()
+        focusFirstError(vm.$v)
+        expect(document.activeElement).not.to.equal(input)
+        document.body.removeChild(vm.$el)
+      })
+    })
+  })
+})
@@ -0,0 +1,372 @@
+import Vue from 'vue'
+import { toJsonSchema, fromJsonSchema } from 'src/jsonSchema'
+import {
+  required,
+  requiredIf,
+  minLength,
+  maxLength,
+  minValue,
+  maxValue,
+  between,
+  alpha,
+  integer,
+  email,
+  url,
+  sameAs,
+  helpers
+} from 'src/validators'
+import withParams from 'src/withParams'
+import { withSeverity } from 'src/severity'
+
+describe('toJsonSchema', () => {
+  it('should export an object schema', () => {
+    const validations = {
+      name: { required, minLength: minLength(2), maxLength: maxLength(20) },
+      age: { between: between(18, 99) }
+    }
+    expect(toJsonSchema(validations)).to.deep.equal({
+      schema: {
+        $schema: 'http://json-schema.org/draft-07/schema#',
+        type: 'object',
+        properties: {
+          name: { minLength: 2, maxLength: 20 },
+          age: { minimum: 18, maximum: 99 }
+        },
+        required: ['name']
+      },
+      unsupported: []
+    })
+  })
+
+  it('should map value, pattern and format validators', () => {
+    const { properties } = toJsonSchema({
+      a: { minValue: minValue(1), maxValue: maxValue(5) },
+      b: { alpha },
+      c: { integer },
+      d: { email },
+      e: { url },
+      f: { zip: helpers.regex('pattern', /^\d{5}$/, { pattern: '\\d{5}' }) }
+    }).schema
+    expect(properties.a).to.deep.equal({ minimum: 1, maximum: 5 })
+    expect(properties.b).to.deep.equal({ pattern: '^[a-zA-Z]*$' })
+    expect(properties.c.pattern).to.equal('(^[0-9]*$)|(^-[0-9]+$)')
+    expect(properties.d).to.deep.equal({ format: 'email' })
+    expect(properties.e).to.deep.equal({ format: 'uri' })
+    expect(properties.f).to.deep.equal({ pattern: '^(?:\\d{5})$' })
+  })
+
+  it('should map lengths of arrays to item counts', () => {
+    const validations = {
+      tags: { minLength: minLength(1), maxLength: maxLength(3) }
+    }
+    expect(
+      toJsonSchema(validations, { tags: [] }).schema.properties.tags
+    ).to.deep.equal({
+      type: 'array',
+      minItems: 1,
+      maxItems: 3
+    })
+  })
+
+  it('should export nested objects', () => {
+    const validations = {
+      address: { city: { required }, zip: { minLength: minLength(5) } }
+    }
+    expect(toJsonSchema(validations).schema.properties.address).to.deep.equal({
+      type: 'object',
+      properties: {
+        city: {},
+        zip: { minLength: 5 }
+      },
+      required: ['city']
+    })
+  })
+
+  it('should export $each as array items', () => {
+    const { schema } = toJsonSchema({
+      items: {
+        required,
+        minLength: minLength(1),
+        $each: { $trackBy: 'id', name: { required, maxLength: maxLength(10) } }
+      }
+    })
+    expect(schema.required).to.deep.equal(['items'])
+    expect(schema.properties.items).to.deep.equal({
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        properties: { name: { maxLength: 10 } },
+        required: ['name']
+      }
+    })
+  })
+
+  it('should report required rules of items', () => {
+    const { schema, unsupported } = toJsonSchema({
+      tags: { $each: { required, minLength: minLength(2) } }
+    })
+    expect(schema.properties.tags.items).to.deep.equal({ minLength: 2 })
+    expect(unsupported).to.deep.equal([
+      {
+        path: ['tags', '$each'],
+        name: 'required',
+        params: { type: 'required' }
+      }
+    ])
+  })
+
+  it('should export item rules of empty collections', () => {
+    const validations = { items: { $each: { name: { required } } } }
+    expect(
+      toJsonSchema(validations, { items: [] }).schema.properties.items
+    ).to.deep.equal({
+      type: 'array',
+      items: { type: 'object', properties: { name: {} }, required: ['name'] }
+    })
+  })
+
+  it('should export rules regardless of the model state', () => {
+    const validations = {
+      $lazy: true,
+      $stopOnFirstFailure: true,
+      name: { required, minLength: minLength(2), maxLength: maxLength(5) }
+    }
+    const { schema, unsupported } = toJsonSchema(validations, { name: '' })
+    expect(schema.properties.name).to.deep.equal({ minLength: 2, maxLength: 5 })
+    expect(schema.required).to.deep.equal(['name'])
+    expect(unsupported).to.deep.equal([])
+  })
+
+  it('should not run rules without static params', () => {
+    const isUnique = sinon.spy(() => new Promise(() => {}))
+    const custom = withParams((add) => (value) => {
+      add({ type: 'minLength', min: 3 })
+      return value.length >= 3
+    })
+    const { schema, unsupported } = toJsonSchema(
+      { name: { isUnique, custom } },
+      { name: 'bob' }
+    )
+    expect(isUnique).to.not.have.been.called
+    expect(schema.properties.name).to.deep.equal({})
+    expect(unsupported).to.deep.equal([
+      { path: ['name'], name: 'isUnique', params: null },
+      { path: ['name'], name: 'custom', params: null }
+    ])
+  })
+
+  it('should call functions returning validations with the model', () => {
+    const model = { name: '' }
+    const validations = sinon.spy(() => ({ name: { required } }))
+    expect(toJsonSchema(validations, model).schema.required).to.deep.equal([
+      'name'
+    ])
+    expect(validations).to.have.been.calledOn(model)
+  })
+
+  it('should report rules it cannot express', () => {
+    const custom = (v) => v !== 'x'
+    const condition = () => true
+    const { schema, unsupported } = toJsonSchema(
+      {
+        password: { required },
+        repeat: { sameAs: sameAs('password') },
+        nested: {
+          a: { custom, requiredIf: requiredIf(condition) }
+        },
+        group: ['password', 'repeat']
+      },
+      { password: '', repeat: '', nested: { a: '' } }
+    )
+    expect(schema.properties.repeat).to.deep.equal({})
+    expect(unsupported).to.deep.equal([
+      {
+        path: ['repeat'],
+        name: 'sameAs',
+        params: { type: 'sameAs', eq: 'password' }
+      },
+      { path: ['nested', 'a'], name: 'custom', params: null },
+      {
+        path: ['nested', 'a'],
+        name: 'requiredIf',
+        params: { type: 'requiredIf', prop: condition }
+      },
+      { path: ['group'], name: '$group', params: null }
+    ])
+  })
+
+  it('should report warnings instead of exporting them', () => {
+    const { schema, unsupported } = toJsonSchema({
+      pw: {
+        required: withSeverity('warning', required),
+        weak: withSeverity('warning', minLength(12)),
+        maxLength: maxLength(20)
+      }
+    })
+    expect(schema.properties.pw).to.deep.equal({ maxLength: 20 })
+    expect(schema.required).to.be.undefined
+    expect(unsupported).to.deep.equal([
+      { path: ['pw'], name: 'required', params: { type: 'required' } },
+      { path: ['pw'], name: 'weak', params: { type: 'minLength', min: 12 } }
+    ])
+  })
+
+  it('should report rules which throw without a model', () => {
+    const custom = (value) => value.length > 2
+    expect(toJsonSchema({ name: { custom } }).unsupported).to.deep.equal([
+      { path: ['name'], name: 'custom', params: null }
+    ])
+  })
+
+  it('should report required rules of the root', () => {
+    expect(toJsonSchema({ required }).unsupported).to.have.length(1)
+  })
+
+  it('should throw without validations', () => {
+    expect(() => toJsonSchema(null)).to.throw(
+      'toJsonSchema requires a validations object'
+    )
+  })
+})
+
+describe('fromJsonSchema', () => {
+  const schema = {
+    type: 'object',
+    properties: {
+      name: { type: 'string', minLength: 2, maxLength: 5 },
+      age: { type: 'integer', minimum: 18, maximum: 99 },
+      email: { type: 'string', format: 'email' },
+      site: { type: 'string', format: 'uri' },
+      ip: { type: 'string', format: 'ipv4' },
+      code: { type: 'string', pattern: '[0-9]{3}' },
+      address: {
+        type: 'object',
+        properties: { city: { type: 'string' } },
+        required: ['city']
+      },
+      tags: {
+        type: 'array',
+        minItems: 1,
+        maxItems: 2,
+        items: { type: 'string', minLength: 2 }
+      }
+    },
+    required: ['name', 'tags']
+  }
+
+  it('should map keywords to builtin validators', () => {
+    const validations = fromJsonSchema(schema)
+    expect(Object.keys(validations)).to.deep.equal(
+      Object.keys(schema.properties)
+    )
+    expect(Object.keys(validations.name)).to.deep.equal([
+      'required',
+      'minLength',
+      'maxLength'
+    ])
+    expect(Object.keys(validations.age)).to.deep.equal(['minValue', 'maxValue'])
+    expect(Object.keys(validations.email)).to.deep.equal(['email'])
+    expect(Object.keys(validations.site)).to.deep.equal(['url'])
+    expect(Object.keys(validations.ip)).to.deep.equal(['ipAddress'])
+    expect(Object.keys(validations.code)).to.deep.equal(['pattern'])
+    expect(Object.keys(validations.address)).to.deep.equal(['city'])
+    expect(Object.keys(validations.address.city)).to.deep.equal(['required'])
+    expect(Object.keys(validations.tags)).to.deep.equal([
+      'required',
+      'minLength',
+      'maxLength',
+      '$each'
+    ])
+    expect(Object.keys(validations.tags.$each)).to.deep.equal(['minLength'])
+  })
+
+  it('should validate models', () => {
+    const vm = new Vue({
+      data: {
+        name: 'ab',
+        age: 20,
+        email: 'a@b.cd',
+        site: 'http://example.com',
+        ip: '10.0.0.1',
+        code: 'a123',
+        address: { city: 'Krakow' },
+        tags: ['ab']
+      },
+      validations: fromJsonSchema(schema)
+    })
+    expect(vm.$v.$invalid).to.be.false
+    vm.name = 'abcdef'
+    expect(vm.$v.name.maxLength).to.be.false
+    vm.age = 10
+    expect(vm.$v.age.minValue).to.be.false
+    vm.email = 'foo'
+    expect(vm.$v.email.email).to.be.false
+    vm.ip = '300.0.0.1'
+    expect(vm.$v.ip.ipAddress).to.be.false
+    vm.code = 'a12'
+    expect(vm.$v.code.pattern).to.be.false
+    vm.address.city = ''
+    expect(vm.$v.address.city.required).to.be.false
+    vm.tags = ['ab', 'c']
+    expect(vm.$v.tags.$each[1].minLength).to.be.false
+    vm.tags = ['ab', 'cd', 'ef']
+    expect(vm.$v.tags.maxLength).to.be.false
+    vm.tags = []
+    expect(vm.$v.tags.required).to.be.false
+  })
+
+  it('should map items of objects', () => {
+    const validations = fromJsonSchema({
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { id: { type: 'string' } },
+        required: ['id']
+      }
+    })
+    expect(Object.keys(validations.$each.id)).to.deep.equal(['required'])
+  })
+
+  it('should ignore unknown keywords, formats and invalid patterns', () => {
+    expect(
+      fromJsonSchema({
+        properties: {
+          a: { format: 'date', multipleOf: 2, pattern: '(' },
+          b: true
+        }
+      })
+    ).to.deep.equal({ a: {}, b: {} })
+  })
+
+  it('should round trip with toJsonSchema', () => {
+    const data = {
+      name: '',
+      age: 20,
+      email: '',
+      site: '',
+      ip: '',
+      code: '',
+      address: { city: '' },
+      tags: ['ab']
+    }
+    const exported = toJsonSchema(fromJsonSchema(schema), data)
+    expect(exported.unsupported).to.deep.equal([])
+    const { properties, required } = exported.schema
+    expect(required).to.deep.equal(['name', 'tags'])
+    expect(properties.code).to.deep.equal({ pattern: '[0-9]{3}' })
+    expect(properties.age).to.deep.equal({ minimum: 18, maximum: 99 })
+    expect(properties.tags).to.deep.equal({
+      type: 'array',
+      minItems: 1,
+      maxItems: 2,
+      items: { minLength: 2 }
+    })
+  })
+
+  it('should throw without a schema object', () => {
+    expect(() => fromJsonSchema('schema')).to.throw(
+      'fromJsonSchema requires a schema object'
+    )
+  })
+})
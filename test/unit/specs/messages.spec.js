@@ -0,0 +1,233 @@
+import {
+  interpolate,
+  pluralize,
+  renderMessage,
+  withMessage,
+  defaultMessages,
+  fallbackMessage,
+  addMessages,
+  configureMessages,
+  setLocale,
+  setFallbackLocale,
+  getLocale
+} from 'src/messages'
+import minLength from 'src/validators/minLength'
+
+describe('messages', () => {
+  describe('interpolate', () => {
+    it('should replace placeholders with params', () => {
+      expect(
+        interpolate('between {min} and {max}', { min: 1, max: 5 })
+      ).to.equal('between 1 and 5')
+    })
+
+    it('should leave unknown placeholders intact', () => {
+      expect(interpolate('at least {min}', {})).to.equal('at least {min}')
+    })
+
+    it('should accept null params', () => {
+      expect(interpolate('at least {min}', null)).to.equal('at least {min}')
+    })
+
+    it('should leave placeholders of non primitive params intact', () => {
+      expect(interpolate('same as {eq}', { eq: () => 'a' })).to.equal(
+        'same as {eq}'
+      )
+      expect(interpolate('one of {list}', { list: [1] })).to.equal(
+        'one of {list}'
+      )
+    })
+  })
+
+  describe('withMessage', () => {
+    it('should not alter validator output', () => {
+      const rule = withMessage('msg', minLength(3))
+      expect(rule('ab')).to.be.false
+      expect(rule('abc')).to.be.true
+    })
+
+    it('should pass context and arguments', () => {
+      const spy = sinon.spy()
+      const ctx = {}
+      withMessage('msg', spy).call(ctx, 1, 2)
+      expect(spy).to.have.been.calledWith(1, 2)
+      expect(spy).to.have.been.calledOn(ctx)
+    })
+
+    it('should not mutate the wrapped validator', () => {
+      const rule = minLength(3)
+      withMessage('msg', rule)
+      expect(rule.$message).to.be.undefined
+    })
+
+    it('should throw on invalid message', () => {
+      expect(() => withMessage(1, () => true)).to.throw(
+        'message must be a string, a function or an object'
+      )
+    })
+  })
+
+  describe('renderMessage', () => {
+    it('should use default message for type', () => {
+      expect(renderMessage(null, { type: 'between', min: 1, max: 3 })).to.equal(
+        'Must be between 1 and 3'
+      )
+    })
+
+    it('should use fallback for unknown type', () => {
+      expect(renderMessage(null, { type: 'unknown' })).to.equal(fallbackMessage)
+      expect(renderMessage(null, null)).to.equal(fallbackMessage)
+    })
+
+    it('should prefer rule message', () => {
+      const rule = withMessage('custom {min}', () => true)
+      expect(renderMessage(rule, { type: 'minLength', min: 2 })).to.equal(
+        'custom 2'
+      )
+    })
+
+    it('should use $default for params which cannot be shown', () => {
+      const params = { type: 'sameAs', eq: (vm) => vm.a }
+      expect(renderMessage(null, params)).to.equal(fallbackMessage)
+      expect(renderMessage(null, { type: 'sameAs', eq: 'password' })).to.equal(
+        'Must be identical to password'
+      )
+    })
+
+    it('should call message functions with params and model', () => {
+      const message = sinon.stub().returns('computed')
+      const rule = withMessage(message, () => true)
+      const params = { type: 'x' }
+      expect(renderMessage(rule, params, 'model')).to.equal('computed')
+      expect(message).to.have.been.calledWith(params, 'model')
+    })
+
+    it('should have a default message for every builtin validator', () => {
+      expect(Object.keys(defaultMessages)).to.include.members([
+        'required',
+        'minLength',
+        'maxLength',
+        'between',
+        'email'
+      ])
+    })
+  })
+
+  describe('pluralize', () => {
+    const template = '{min} character | {min} characters'
+
+    it('should return template without plural forms as is', () => {
+      expect(pluralize('{min} chars', { min: 1 })).to.equal('{min} chars')
+    })
+
+    it('should pick singular form for one', () => {
+      expect(pluralize(template, { min: 1 })).to.equal('{min} character')
+    })
+
+    it('should pick plural form for other counts', () => {
+      expect(pluralize(template, { min: 0 })).to.equal('{min} characters')
+      expect(pluralize(template, { min: 5 })).to.equal('{min} characters')
+    })
+
+    it('should accept numeric strings', () => {
+      expect(pluralize(template, { min: '1' })).to.equal('{min} character')
+    })
+
+    it('should use the last form without a numeric placeholder', () => {
+      expect(pluralize('one | many', { min: 1 })).to.equal('many')
+    })
+
+    it('should use provided plural rule', () => {
+      const plural = (n) => (n === 1 ? 0 : n < 5 ? 1 : 2)
+      const forms = '{n} znak | {n} znaki | {n} znaków'
+      expect(pluralize(forms, { n: 3 }, plural)).to.equal('{n} znaki')
+      expect(pluralize(forms, { n: 7 }, plural)).to.equal('{n} znaków')
+    })
+
+    it('should clamp out of range plural rule results', () => {
+      expect(pluralize('a | b', { n: 1 }, () => 5)).to.equal('b')
+    })
+  })
+
+  describe('catalogs', () => {
+    afterEach(() => {
+      setLocale('en')
+      setFallbackLocale('en')
+    })
+
+    it('should default to english locale', () => {
+      expect(getLocale()).to.equal('en')
+    })
+
+    it('should throw on invalid locale', () => {
+      expect(() => setLocale(null)).to.throw('locale must be a string')
+    })
+
+    it('should throw on invalid catalog', () => {
+      expect(() => addMessages('xx', null)).to.throw(
+        'catalog must be an object'
+      )
+    })
+
+    it('should render message from current locale catalog', () => {
+      addMessages('test-pl', { minLength: 'Co najmniej {min} znaków' })
+      setLocale('test-pl')
+      expect(renderMessage(null, { type: 'minLength', min: 5 })).to.equal(
+        'Co najmniej 5 znaków'
+      )
+    })
+
+    it('should fall back to fallback locale for missing types', () => {
+      addMessages('test-de', {})
+      setLocale('test-de')
+      expect(renderMessage(null, { type: 'between', min: 1, max: 2 })).to.equal(
+        'Must be between 1 and 2'
+      )
+    })
+
+    it('should use $default of current locale for unknown types', () => {
+      addMessages('test-fr', { $default: 'Valeur invalide' })
+      setLocale('test-fr')
+      expect(renderMessage(null, { type: 'custom' })).to.equal(
+        'Valeur invalide'
+      )
+    })
+
+    it('should use catalog $plural rule', () => {
+      addMessages('test-cs', {
+        $plural: (n) => (n === 1 ? 0 : n < 5 ? 1 : 2),
+        minLength: 'a {min} | b {min} | c {min}'
+      })
+      setLocale('test-cs')
+      expect(renderMessage(null, { type: 'minLength', min: 3 })).to.equal('b 3')
+    })
+
+    it('should merge messages into existing catalog', () => {
+      addMessages('test-it', { required: 'Obbligatorio' })
+      addMessages('test-it', { email: 'Email non valida' })
+      setLocale('test-it')
+      expect(renderMessage(null, { type: 'required' })).to.equal('Obbligatorio')
+      expect(renderMessage(null, { type: 'email' })).to.equal(
+        'Email non valida'
+      )
+    })
+
+    it('should pick rule message by locale', () => {
+      const rule = withMessage({ en: 'english', 'test-es': 'spanish' }, () => 1)
+      expect(renderMessage(rule, null)).to.equal('english')
+      setLocale('test-es')
+      expect(renderMessage(rule, null)).to.equal('spanish')
+      setLocale('test-none')
+      expect(renderMessage(rule, null)).to.equal('english')
+    })
+
+    it('should configure catalogs and locale from options', () => {
+      configureMessages({
+        messages: { 'test-nl': { required: 'Verplicht' } },
+        locale: 'test-nl'
+      })
+      expect(getLocale()).to.equal('test-nl')
+      expect(renderMessage(null, { type: 'required' })).to.equal('Verplicht')
+    })
+  })
+})
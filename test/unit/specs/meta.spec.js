@@ -0,0 +1,43 @@
+import { withMeta, getMeta } from 'src/meta'
+
+describe('withMeta', () => {
+  it('should not alter validator output', () => {
+    expect(withMeta({}, () => 'output')()).to.equal('output')
+  })
+
+  it('should pass context and arguments', () => {
+    const spy = sinon.spy()
+    const ctx = {}
+    withMeta({}, spy).call(ctx, 1, 2, 3)
+    expect(spy).to.have.been.calledWith(1, 2, 3)
+    expect(spy).to.have.been.calledOn(ctx)
+  })
+
+  it('should assign metadata', () => {
+    expect(withMeta({ $foo: 1 }, () => true).$foo).to.equal(1)
+  })
+
+  it('should keep metadata of wrapped validator', () => {
+    const inner = withMeta({ $foo: 1 }, () => true)
+    const outer = withMeta({ $bar: 2 }, inner)
+    expect(outer.$foo).to.equal(1)
+    expect(outer.$bar).to.equal(2)
+  })
+
+  it('should override metadata of wrapped validator', () => {
+    const inner = withMeta({ $foo: 1 }, () => true)
+    expect(withMeta({ $foo: 2 }, inner).$foo).to.equal(2)
+    expect(inner.$foo).to.equal(1)
+  })
+
+  it('should throw on non function validator', () => {
+    expect(() => withMeta({}, {})).to.throw('validator must be a function')
+  })
+
+  it('should get metadata of a validator', () => {
+    const rule = withMeta({ $foo: 1, $bar: 2 }, () => true)
+    rule.other = 3
+    expect(getMeta(rule)).to.deep.equal({ $foo: 1, $bar: 2 })
+    expect(getMeta(() => true)).to.deep.equal({})
+  })
+})
@@ -0,0 +1,56 @@
+import {
+  ruleResult,
+  stopsEvaluation,
+  errorKeys,
+  warningKeys,
+  collectEntries
+} from 'src/results'
+import { withSeverity } from 'src/severity'
+
+const T = () => true
+const warn = withSeverity('warning', T)
+
+describe('results', () => {
+  it('should report not evaluated rules as null', () => {
+    expect(ruleResult(true, true)).to.be.null
+    expect(ruleResult(false, 1)).to.be.true
+    expect(ruleResult(false, undefined)).to.be.false
+  })
+
+  it('should stop evaluation on failing errors only', () => {
+    expect(stopsEvaluation(T, false)).to.be.true
+    expect(stopsEvaluation(T, true)).to.be.false
+    expect(stopsEvaluation(warn, false)).to.be.false
+  })
+
+  it('should split rules by severity', () => {
+    const rules = { a: T, b: warn, c: T }
+    const keys = Object.keys(rules)
+    expect(errorKeys(keys, (key) => rules[key])).to.deep.equal(['a', 'c'])
+    expect(warningKeys(keys, (key) => rules[key])).to.deep.equal(['b'])
+  })
+
+  it('should collect nested entries and failing settled rules', () => {
+    const states = {
+      passing: { proxy: true },
+      failing: { proxy: false, $params: { type: 'x' }, $message: 'msg' },
+      pending: { proxy: false, $pending: true },
+      rejected: { proxy: false, $asyncError: new Error() },
+      skipped: { proxy: null, $skipped: true }
+    }
+    const nested = {
+      child: [{ path: ['deep'], name: 'a', params: null, message: 'a' }]
+    }
+    expect(
+      collectEntries(
+        ['child'],
+        (key) => nested[key],
+        Object.keys(states),
+        (key) => states[key]
+      )
+    ).to.deep.equal([
+      { path: ['child', 'deep'], name: 'a', params: null, message: 'a' },
+      { path: [], name: 'failing', params: { type: 'x' }, message: 'msg' }
+    ])
+  })
+})
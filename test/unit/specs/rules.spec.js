@@ -0,0 +1,197 @@
+import Vue from 'vue'
+import Vuelidate from 'src'
+import { registerRule, parseRules } from 'src/rules'
+import { required, helpers } from 'src/validators'
+
+const paramsOf = (rules) =>
+  new Vue({ data: { value: '' }, validations: { value: rules } }).$v.value
+    .$params
+
+describe('parseRules', () => {
+  it('should parse string specs', () => {
+    const rules = parseRules('required|minLength:3|between:1,10')
+    expect(Object.keys(rules)).to.deep.equal([
+      'required',
+      'minLength',
+      'between'
+    ])
+    expect(rules.required).to.equal(required)
+    expect(paramsOf(rules).minLength).to.deep.equal({
+      type: 'minLength',
+      min: 3
+    })
+    expect(paramsOf(rules).between).to.deep.equal({
+      type: 'between',
+      min: 1,
+      max: 10
+    })
+  })
+
+  it('should trim names and arguments', () => {
+    const rules = parseRules(' required | between: 1 , 2.5 |')
+    expect(Object.keys(rules)).to.deep.equal(['required', 'between'])
+    expect(paramsOf(rules).between).to.deep.equal({
+      type: 'between',
+      min: 1,
+      max: 2.5
+    })
+  })
+
+  it('should keep non numeric arguments as strings', () => {
+    const rules = parseRules('sameAs:password|requiredIf:-1a')
+    expect(paramsOf(rules).sameAs).to.deep.equal({
+      type: 'sameAs',
+      eq: 'password'
+    })
+    expect(paramsOf(rules).requiredIf.prop).to.equal('-1a')
+  })
+
+  it('should parse array specs', () => {
+    const rules = parseRules(['required', 'maxLength:5', ['between', 1, 10]])
+    expect(Object.keys(rules)).to.deep.equal([
+      'required',
+      'maxLength',
+      'between'
+    ])
+    expect(paramsOf(rules).maxLength.max).to.equal(5)
+    expect(paramsOf(rules).between).to.deep.equal({
+      type: 'between',
+      min: 1,
+      max: 10
+    })
+  })
+
+  it('should parse JSON specs', () => {
+    const rules = parseRules(JSON.parse('[["minValue", 2], "integer"]'))
+    expect(Object.keys(rules)).to.deep.equal(['minValue', 'integer'])
+    expect(paramsOf(rules).minValue.min).to.equal(2)
+  })
+
+  it('should parse objects of specs', () => {
+    const validations = parseRules({
+      name: 'required|minLength:2',
+      address: { city: 'required' },
+      items: { minLength: required, $each: { id: ['required'] } },
+      $lazy: true
+    })
+    expect(Object.keys(validations.name)).to.deep.equal([
+      'required',
+      'minLength'
+    ])
+    expect(validations.address.city.required).to.equal(required)
+    expect(validations.items.minLength).to.equal(required)
+    expect(validations.items.$each.id.required).to.equal(required)
+    expect(validations.$lazy).to.be.true
+  })
+
+  it('should validate models', () => {
+    const vm = new Vue({
+      data: { name: 'ab', age: 5, items: [{ id: 1 }, { id: '' }] },
+      validations: parseRules({
+        name: 'required|minLength:3',
+        age: 'between:1,10',
+        items: { $each: { id: 'required' } }
+      })
+    })
+    expect(vm.$v.name.minLength).to.be.false
+    expect(vm.$v.age.between).to.be.true
+    expect(vm.$v.items.$each[0].id.required).to.be.true
+    expect(vm.$v.items.$each[1].id.required).to.be.false
+    vm.name = 'abc'
+    vm.items[1].id = 2
+    expect(vm.$v.$invalid).to.be.false
+  })
+
+  it('should keep $trackBy of $each specs', () => {
+    const validations = parseRules({
+      items: { $each: { $trackBy: 'id', name: 'required' } }
+    })
+    expect(validations.items.$each.$trackBy).to.equal('id')
+    expect(validations.items.$each.name.required).to.equal(required)
+    const vm = new Vue({
+      data: { items: [{ id: 'a', name: 'x' }, { id: 'b', name: '' }] },
+      validations
+    })
+    expect(vm.$v.items.$each[0].name.required).to.be.true
+    expect(vm.$v.items.$each[1].name.required).to.be.false
+  })
+
+  it('should keep validation groups', () => {
+    const validations = parseRules({
+      a: 'required',
+      b: ['required', 'minLength:2'],
+      nested: { c: 'required', group: ['a', 'nested.c'] },
+      group: ['a', 'b']
+    })
+    expect(validations.group).to.deep.equal(['a', 'b'])
+    expect(validations.nested.group).to.deep.equal(['a', 'nested.c'])
+    expect(Object.keys(validations.b)).to.deep.equal(['required', 'minLength'])
+    const vm = new Vue({
+      data: { a: 'x', b: '', nested: { c: '' } },
+      validations
+    })
+    expect(vm.$v.group.$invalid).to.be.true
+    expect(vm.$v.nested.group.$invalid).to.be.true
+    vm.b = 'yz'
+    vm.nested.c = 'z'
+    expect(vm.$v.group.$invalid).to.be.false
+    expect(vm.$v.nested.group.$invalid).to.be.false
+  })
+
+  it('should throw on unknown rules', () => {
+    expect(() => parseRules('required|foo:1')).to.throw('unknown rule: foo')
+  })
+
+  it('should throw on invalid specs', () => {
+    expect(() => parseRules(5)).to.throw(
+      'rule spec must be a string, an array or an object'
+    )
+    expect(() => parseRules([{ name: 'required' }])).to.throw(
+      'invalid rule spec: {"name":"required"}'
+    )
+  })
+})
+
+describe('registerRule', () => {
+  it('should register rule factories', () => {
+    const factory = sinon.spy((max) =>
+      helpers.withParams({ type: 'slug', max }, (value) =>
+        new RegExp(`^[a-z0-9-]{0,${max}}$`).test(value)
+      )
+    )
+    registerRule('slug', factory)
+    const rules = parseRules('required|slug:5')
+    expect(factory).to.have.been.calledWith(5)
+    expect(paramsOf(rules).slug).to.deep.equal({ type: 'slug', max: 5 })
+    const vm = new Vue({
+      data: { value: 'my-slug' },
+      validations: { value: rules }
+    })
+    expect(vm.$v.value.slug).to.be.false
+    vm.value = 'slug'
+    expect(vm.$v.value.slug).to.be.true
+  })
+
+  it('should override registered rules', () => {
+    const validator = () => true
+    registerRule('overridden', () => () => false)
+    registerRule('overridden', () => validator)
+    expect(parseRules('overridden').overridden).to.equal(validator)
+  })
+
+  it('should be available on the plugin', () => {
+    expect(Vuelidate.registerRule).to.equal(registerRule)
+  })
+
+  it('should throw on invalid names and factories', () => {
+    expect(() => registerRule('has space', () => {})).to.throw(
+      'rule name must be an identifier'
+    )
+    expect(() => registerRule('a:b', () => {})).to.throw(
+      'rule name must be an identifier'
+    )
+    expect(() => registerRule('noFactory', 5)).to.throw(
+      'factory of rule noFactory must be a function'
+    )
+  })
+})
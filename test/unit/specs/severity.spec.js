@@ -0,0 +1,152 @@
+import Vue from 'vue'
+import { withSeverity, isWarning } from 'src/severity'
+import { withMessage } from 'src/messages'
+import { validate } from 'src/validate'
+import { required, minLength } from 'src/validators'
+
+const weak = withSeverity(
+  'warning',
+  withMessage('Password is weak', minLength(8))
+)
+
+describe('withSeverity', () => {
+  it('should attach severity metadata', () => {
+    expect(withSeverity('warning', () => true).$severity).to.equal('warning')
+    expect(withSeverity('error', () => true).$severity).to.equal('error')
+  })
+
+  it('should compose with withMessage', () => {
+    expect(weak.$message).to.equal('Password is weak')
+    expect(
+      withMessage('msg', withSeverity('warning', required)).$severity
+    ).to.equal('warning')
+  })
+
+  it('should throw on invalid severity', () => {
+    expect(() => withSeverity('info', () => true)).to.throw(
+      'severity must be one of: error,warning'
+    )
+  })
+
+  it('should tell warnings apart', () => {
+    expect(isWarning(weak)).to.be.true
+    expect(isWarning(withSeverity('error', required))).to.be.false
+    expect(isWarning(required)).to.be.false
+    expect(isWarning(null)).to.be.false
+  })
+})
+
+describe('warnings', () => {
+  it('should not make models invalid', () => {
+    const vm = new Vue({
+      data: { password: 'abc' },
+      validations: { password: { required, weak } }
+    })
+    vm.$v.$touch()
+    expect(vm.$v.password.weak).to.be.false
+    expect(vm.$v.password.$invalid).to.be.false
+    expect(vm.$v.password.$error).to.be.false
+    expect(vm.$v.$invalid).to.be.false
+    expect(vm.$v.$anyError).to.be.false
+    expect(vm.$v.password.$errors).to.deep.equal([])
+    expect(vm.$v.password.$message).to.equal(null)
+  })
+
+  it('should report failing warnings', () => {
+    const vm = new Vue({
+      data: { password: 'abc' },
+      validations: { password: { required, weak } }
+    })
+    expect(vm.$v.password.$anyWarning).to.be.true
+    expect(vm.$v.password.$warnings).to.deep.equal([
+      {
+        path: [],
+        name: 'weak',
+        params: { type: 'minLength', min: 8 },
+        message: 'Password is weak'
+      }
+    ])
+    vm.password = 'abcdefgh'
+    expect(vm.$v.password.$anyWarning).to.be.false
+    expect(vm.$v.password.$warnings).to.deep.equal([])
+  })
+
+  it('should keep errors of other rules', () => {
+    const vm = new Vue({
+      data: { password: '' },
+      validations: { password: { required, weak } }
+    })
+    vm.$v.$touch()
+    expect(vm.$v.password.$error).to.be.true
+    expect(vm.$v.password.$errors.map((e) => e.name)).to.deep.equal([
+      'required'
+    ])
+    // optional validators pass empty values
+    expect(vm.$v.password.$anyWarning).to.be.false
+  })
+
+  it('should collect warnings of nested models', () => {
+    const vm = new Vue({
+      data: {
+        user: { password: 'abc' },
+        items: [{ note: 'a' }, { note: 'long' }]
+      },
+      validations: {
+        user: { password: { weak } },
+        items: {
+          $each: {
+            note: { short: withSeverity('warning', minLength(2)) }
+          }
+        }
+      }
+    })
+    expect(vm.$v.$anyWarning).to.be.true
+    expect(vm.$v.$invalid).to.be.false
+    expect(vm.$v.$warnings.map((w) => [w.path, w.name])).to.deep.equal([
+      [['user', 'password'], 'weak'],
+      [['items', '$each', '0', 'note'], 'short']
+    ])
+    expect(vm.$v.items.$each[1].$anyWarning).to.be.false
+  })
+
+  it('should not report warnings of lazy models before touch', () => {
+    const vm = new Vue({
+      data: { password: 'abc' },
+      validations: { password: { $lazy: true, weak } }
+    })
+    expect(vm.$v.password.$anyWarning).to.be.false
+    vm.$v.password.$touch()
+    expect(vm.$v.password.$anyWarning).to.be.true
+  })
+
+  it('should resolve $validate regardless of warnings', () => {
+    const vm = new Vue({
+      data: { password: 'abc' },
+      validations: { password: { weak } }
+    })
+    return vm.$v.$validate().then((valid) => {
+      expect(valid).to.be.true
+    })
+  })
+
+  it('should be reported by the headless engine', () => {
+    const result = validate(
+      { password: 'abc', nested: { value: '' } },
+      { password: { required, weak }, nested: { value: { required } } }
+    )
+    expect(result.password.weak).to.be.false
+    expect(result.password.$invalid).to.be.false
+    expect(result.password.$errors).to.deep.equal([])
+    expect(result.$anyWarning).to.be.true
+    expect(result.$warnings).to.deep.equal([
+      {
+        path: ['password'],
+        name: 'weak',
+        params: { type: 'minLength', min: 8 },
+        message: 'Password is weak'
+      }
+    ])
+    expect(result.$invalid).to.be.true
+    expect(result.nested.$anyWarning).to.be.false
+  })
+})
@@ -0,0 +1,60 @@
+import { withTimeout, createTimeoutError } from 'src/timeout'
+import { withMessage } from 'src/messages'
+import { config, configure } from 'src/config'
+
+describe('withTimeout', () => {
+  it('should attach timeout metadata', () => {
+    expect(withTimeout(100, () => true, 'valid').$timeout).to.deep.equal({
+      ms: 100,
+      outcome: 'valid'
+    })
+  })
+
+  it('should compose with withMessage', () => {
+    const rule = withMessage('msg', withTimeout(100, () => true))
+    expect(rule.$message).to.equal('msg')
+    expect(rule.$timeout.ms).to.equal(100)
+  })
+
+  it('should throw on invalid timeout', () => {
+    expect(() => withTimeout(-1, () => true)).to.throw(
+      'timeout must be a non-negative number'
+    )
+  })
+
+  it('should throw on invalid outcome', () => {
+    expect(() => withTimeout(1, () => true, 'maybe')).to.throw(
+      'timeout outcome must be one of'
+    )
+  })
+
+  it('should create named timeout errors', () => {
+    const error = createTimeoutError(10)
+    expect(error.name).to.equal('TimeoutError')
+    expect(error.message).to.equal('Async validator timed out after 10ms')
+  })
+})
+
+describe('configure', () => {
+  afterEach(() => {
+    config.asyncTimeout = 0
+    config.asyncTimeoutOutcome = 'error'
+  })
+
+  it('should set known options', () => {
+    configure({ asyncTimeout: 100, asyncTimeoutOutcome: 'invalid' })
+    expect(config.asyncTimeout).to.equal(100)
+    expect(config.asyncTimeoutOutcome).to.equal('invalid')
+  })
+
+  it('should ignore unknown options', () => {
+    configure({ unknown: true })
+    expect(config.unknown).to.be.undefined
+  })
+
+  it('should throw on invalid timeout outcome', () => {
+    expect(() => configure({ asyncTimeoutOutcome: 'x' })).to.throw(
+      'timeout outcome must be one of'
+    )
+  })
+})
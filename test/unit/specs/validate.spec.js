@@ -0,0 +1,258 @@
+import { validate, validateAsync } from 'src/validate'
+import { withParams } from 'src'
+import { config } from 'src/config'
+import { required, minLength, requiredIf, sameAs } from 'src/validators'
+
+const isEven = withParams({ type: 'isEven' }, (v) => v % 2 === 0)
+const T = () => true
+const F = () => false
+
+describe('headless validate', () => {
+  it('should validate plain data', () => {
+    const result = validate({ value: 4 }, { value: { isEven } })
+    expect(result.$invalid).to.be.false
+    expect(result.value.$invalid).to.be.false
+    expect(result.value.isEven).to.be.true
+  })
+
+  it('should report failing rules', () => {
+    const result = validate({ value: 3 }, { value: { isEven, T } })
+    expect(result.$invalid).to.be.true
+    expect(result.value.isEven).to.be.false
+    expect(result.value.T).to.be.true
+  })
+
+  it('should collect $params', () => {
+    const result = validate(
+      { name: 'ab' },
+      { name: { minLength: minLength(3) } }
+    )
+    expect(result.name.$params).to.deep.equal({
+      minLength: { type: 'minLength', min: 3 }
+    })
+    expect(result.$params).to.deep.equal({ name: null })
+  })
+
+  it('should render $errors', () => {
+    const result = validate({ name: '' }, { name: { required } })
+    expect(result.$errors).to.deep.equal([
+      {
+        path: ['name'],
+        name: 'required',
+        params: { type: 'required' },
+        message: 'Value is required'
+      }
+    ])
+  })
+
+  it('should not render functions of params in $errors', () => {
+    const result = validate(
+      { a: 'x', b: 'y' },
+      { b: { sameAs: sameAs((vm) => vm.a) } }
+    )
+    expect(result.$errors[0].message).to.equal('Value is invalid')
+  })
+
+  it('should validate nested objects', () => {
+    const result = validate(
+      { nested: { a: 1, b: 2 } },
+      { nested: { a: { isEven }, b: { isEven } } }
+    )
+    expect(result.nested.$invalid).to.be.true
+    expect(result.nested.a.$invalid).to.be.true
+    expect(result.nested.b.$invalid).to.be.false
+  })
+
+  it('should pass parent model and root context to rules', () => {
+    const spy = sinon.stub().returns(true)
+    const model = { nested: { a: 1 } }
+    validate(model, { nested: { a: { spy } } })
+    expect(spy).to.have.been.calledWith(1, model.nested)
+    expect(spy).to.have.been.calledOn(model)
+  })
+
+  it('should support contextified validators', () => {
+    const validations = {
+      flag: {},
+      name: { required: requiredIf('flag') }
+    }
+    expect(validate({ flag: true, name: '' }, validations).$invalid).to.be.true
+    expect(validate({ flag: false, name: '' }, validations).$invalid).to.be
+      .false
+  })
+
+  it('should validate collections with $each', () => {
+    const result = validate(
+      { list: [{ v: 2 }, { v: 3 }] },
+      { list: { $each: { $trackBy: 'v', v: { isEven } } } }
+    )
+    expect(result.list.$invalid).to.be.true
+    expect(result.list.$each[0].$invalid).to.be.false
+    expect(result.list.$each[1].v.isEven).to.be.false
+    expect(result.list.$errors[0].path).to.deep.equal(['$each', '1', 'v'])
+  })
+
+  it('should treat non object $each models as empty', () => {
+    const result = validate({ list: null }, { list: { $each: { F } } })
+    expect(result.list.$invalid).to.be.false
+  })
+
+  it('should validate groups', () => {
+    const validations = {
+      group: ['a', 'nested.b'],
+      a: { isEven },
+      nested: { b: { isEven } }
+    }
+    expect(validate({ a: 2, nested: { b: 4 } }, validations).group.$invalid).to
+      .be.false
+    const result = validate({ a: 2, nested: { b: 3 } }, validations)
+    expect(result.group.$invalid).to.be.true
+    expect(result.group['nested.b'].$invalid).to.be.true
+    expect(result.group.$errors[0].path).to.deep.equal(['nested.b'])
+    expect(result.$invalid).to.be.true
+  })
+
+  it('should treat missing group paths as invalid', () => {
+    const result = validate({}, { group: ['missing'] })
+    expect(result.group.$invalid).to.be.true
+    expect(result.group.missing).to.be.false
+    expect(result.$invalid).to.be.true
+  })
+
+  it('should accept validations as a function', () => {
+    const result = validate({ strict: true, value: 3 }, function() {
+      return this.strict ? { value: { isEven } } : {}
+    })
+    expect(result.$invalid).to.be.true
+  })
+
+  it('should report async validators as pending', () => {
+    const result = validate(
+      { value: 1 },
+      { value: { a: () => Promise.resolve(true) } }
+    )
+    expect(result.$pending).to.be.true
+    expect(result.value.a).to.be.false
+    expect(result.value.$errors).to.deep.equal([])
+  })
+
+  it('should return serializable results', () => {
+    const result = validate({ value: 3 }, { value: { isEven } })
+    expect(JSON.parse(JSON.stringify(result))).to.deep.equal(result)
+  })
+
+  describe('$stopOnFirstFailure', () => {
+    afterEach(() => {
+      config.stopOnFirstFailure = false
+    })
+
+    it('should skip rules following a failing one', () => {
+      const spy = sinon.spy(T)
+      const result = validate(
+        { value: 3, nested: { value: 1 } },
+        {
+          $stopOnFirstFailure: true,
+          value: { isEven, spy },
+          nested: { value: { T, F, spy } }
+        }
+      )
+      expect(result.value.isEven).to.be.false
+      expect(result.value.spy).to.be.null
+      expect(result.nested.value.T).to.be.true
+      expect(result.nested.value.spy).to.be.null
+      expect(result.$errors.map((e) => e.name)).to.deep.equal(['isEven', 'F'])
+      expect(spy).not.to.have.been.called
+    })
+
+    it('should use the global option', () => {
+      config.stopOnFirstFailure = true
+      expect(validate({ value: 3 }, { value: { isEven, T } }).value.T).to.be
+        .null
+    })
+
+    it('should skip rules following a pending one', () => {
+      const result = validate(
+        { value: 1 },
+        {
+          value: {
+            $stopOnFirstFailure: true,
+            a: () => Promise.resolve(true),
+            T
+          }
+        }
+      )
+      expect(result.value.$pending).to.be.true
+      expect(result.value.T).to.be.null
+    })
+
+    it('should resume rules once pending ones pass', () => {
+      const spy = sinon.spy(() => Promise.resolve(false))
+      return validateAsync(
+        { value: 1, other: 1 },
+        {
+          $stopOnFirstFailure: true,
+          value: { a: () => Promise.resolve(true), T, b: spy, F },
+          other: { c: () => Promise.resolve(false), T }
+        }
+      ).then((result) => {
+        expect(result.value.a).to.be.true
+        expect(result.value.T).to.be.true
+        expect(result.value.b).to.be.false
+        expect(result.value.F).to.be.null
+        expect(result.other.c).to.be.false
+        expect(result.other.T).to.be.null
+        expect(result.$pending).to.be.false
+        expect(spy).to.have.been.calledOnce
+      })
+    })
+  })
+
+  it('should handle rejections of async validators', () => {
+    const promise = Promise.reject(new Error('failed'))
+    const then = sinon.spy(promise, 'then')
+    const result = validate({ value: 1 }, { value: { a: () => promise } })
+    expect(result.value.$pending).to.be.true
+    expect(then.args.some((args) => typeof args[1] === 'function')).to.be.true
+    return promise.catch(() => {})
+  })
+
+  describe('validateAsync', () => {
+    it('should wait for async validators', () => {
+      return validateAsync(
+        { value: 1 },
+        {
+          value: {
+            a: () => Promise.resolve(true),
+            b: () => Promise.resolve(false)
+          }
+        }
+      ).then((result) => {
+        expect(result.$pending).to.be.false
+        expect(result.value.a).to.be.true
+        expect(result.value.b).to.be.false
+        expect(result.$invalid).to.be.true
+      })
+    })
+
+    it('should reject when an async validator rejects', () => {
+      const error = new Error('failed')
+      return validateAsync(
+        { value: 1 },
+        { value: { a: () => Promise.reject(error) } }
+      ).then(() => expect.fail(), (e) => expect(e).to.equal(error))
+    })
+
+    it('should reject when a validator throws', () => {
+      return validateAsync(
+        { value: 1 },
+        {
+          value: {
+            a: () => {
+              throw new Error('x')
+            }
+          }
+        }
+      ).then(() => expect.fail(), (e) => expect(e.message).to.equal('x'))
+    })
+  })
+})
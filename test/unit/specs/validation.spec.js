@@ -1,5 +1,19 @@
 import Vue from 'vue'
-import { withParams, vuelidateChildren } from 'src'
+import {
+  withParams,
+  useVuelidate,
+  withMessage,
+  withTimeout,
+  withSeverity,
+  addMessages,
+  setLocale,
+  fromLaravel,
+  vBlur,
+  vSubmit,
+  vuelidateChildren
+} from 'src'
+import debounce from 'src/validators/debounce'
+import { config } from 'src/config'
 
 const isEven = withParams({ type: 'isEven' }, (v) => {
   return v % 2 === 0
@@ -204,6 +218,342 @@ describe('Validation plugin', () => {
         done()
       })
     })
+
+    describe('rejections', () => {
+      function setupRejecting() {
+        const calls = []
+        const asyncVal = (val) => {
+          if (val === '') return true
+          return new Promise((resolve, reject) => {
+            calls.push({ resolve, reject })
+          })
+        }
+
+        const vm = new Vue({
+          data: { value: '', nested: { value: '' } },
+          validations: {
+            value: { asyncVal },
+            nested: {
+              value: { asyncVal }
+            }
+          }
+        })
+        return { calls, vm }
+      }
+
+      it('should have no $asyncError initially', () => {
+        const { vm } = setupRejecting()
+        expect(vm.$v.value.$asyncError).to.be.false
+        expect(vm.$v.$asyncErrors).to.deep.equal([])
+      })
+
+      it('should expose rejection error on the node', () => {
+        const { calls, vm } = setupRejecting()
+        const error = new Error('network')
+        vm.value = 'x1'
+        vm.$v.value.asyncVal // execute getter
+        calls[0].reject(error)
+        return Promise.resolve().then(() => {
+          expect(vm.$v.value.$asyncError).to.be.true
+          expect(vm.$v.$asyncError).to.be.true
+          expect(vm.$v.value.$asyncErrors).to.deep.equal([
+            { path: [], name: 'asyncVal', error }
+          ])
+          expect(vm.$v.value.$pending).to.be.false
+          expect(vm.$v.value.$invalid).to.be.true
+        })
+      })
+
+      it('should not report rejected validators in $errors', () => {
+        const { calls, vm } = setupRejecting()
+        vm.value = 'x1'
+        vm.$v.value.asyncVal
+        calls[0].reject(new Error('network'))
+        return Promise.resolve().then(() => {
+          expect(vm.$v.value.$errors).to.deep.equal([])
+        })
+      })
+
+      it('should distinguish rejection from a false result', () => {
+        const { calls, vm } = setupRejecting()
+        vm.value = 'x1'
+        vm.$v.value.asyncVal
+        calls[0].resolve(false)
+        return Promise.resolve().then(() => {
+          expect(vm.$v.value.$asyncError).to.be.false
+          expect(vm.$v.value.$errors.length).to.equal(1)
+        })
+      })
+
+      it('should collect nested rejections with paths', () => {
+        const { calls, vm } = setupRejecting()
+        const error = new Error('network')
+        vm.nested.value = 'x1'
+        vm.$v.nested.value.asyncVal
+        calls[0].reject(error)
+        return Promise.resolve().then(() => {
+          expect(vm.$v.$asyncErrors).to.deep.equal([
+            { path: ['nested', 'value'], name: 'asyncVal', error }
+          ])
+        })
+      })
+
+      it('should re-run rejected validators on $retry', () => {
+        const { calls, vm } = setupRejecting()
+        vm.value = 'x1'
+        vm.$v.value.asyncVal
+        calls[0].reject(new Error('network'))
+        return Promise.resolve()
+          .then(() => {
+            vm.$v.$retry()
+            expect(vm.$v.value.$pending).to.be.true
+            expect(vm.$v.value.$asyncError).to.be.false
+            expect(calls.length).to.equal(2)
+            calls[1].resolve(true)
+          })
+          .then(() => {
+            expect(vm.$v.value.asyncVal).to.be.true
+          })
+      })
+
+      it('should not re-run successful validators on $retry', () => {
+        const { calls, vm } = setupRejecting()
+        vm.value = 'x1'
+        vm.$v.value.asyncVal
+        calls[0].resolve(true)
+        return Promise.resolve().then(() => {
+          vm.$v.$retry()
+          vm.$v.value.asyncVal
+          expect(calls.length).to.equal(1)
+        })
+      })
+    })
+
+    describe('timeouts', () => {
+      let clock
+
+      beforeEach(() => {
+        clock = sinon.useFakeTimers()
+      })
+
+      afterEach(() => {
+        clock.restore()
+        config.asyncTimeout = 0
+      })
+
+      const hanging = (val, parentVm, signal) =>
+        val === '' ? true : new Promise(() => {})
+
+      function setupTimeout(rule) {
+        return new Vue({
+          data: { value: '' },
+          validations: {
+            value: { asyncVal: rule }
+          }
+        })
+      }
+
+      it('should stay pending without a timeout', () => {
+        const vm = setupTimeout(hanging)
+        vm.value = 'x1'
+        vm.$v.value.asyncVal // execute getter
+        clock.tick(100000)
+        expect(vm.$v.value.$pending).to.be.true
+        expect(vm.$v.value.$timedOut).to.be.false
+      })
+
+      it('should end in error state by default', () => {
+        const vm = setupTimeout(withTimeout(100, hanging))
+        vm.value = 'x1'
+        vm.$v.value.asyncVal
+        clock.tick(100)
+        expect(vm.$v.value.$pending).to.be.false
+        expect(vm.$v.value.$timedOut).to.be.true
+        expect(vm.$v.$timedOut).to.be.true
+        expect(vm.$v.value.$invalid).to.be.true
+        expect(vm.$v.value.$asyncErrors[0].error.name).to.equal('TimeoutError')
+      })
+
+      it('should resolve to valid outcome', () => {
+        const vm = setupTimeout(withTimeout(100, hanging, 'valid'))
+        vm.value = 'x1'
+        vm.$v.value.asyncVal
+        clock.tick(100)
+        expect(vm.$v.value.$invalid).to.be.false
+        expect(vm.$v.value.$timedOut).to.be.true
+        expect(vm.$v.value.$asyncError).to.be.false
+      })
+
+      it('should resolve to invalid outcome', () => {
+        const vm = setupTimeout(withTimeout(100, hanging, 'invalid'))
+        vm.value = 'x1'
+        vm.$v.value.asyncVal
+        clock.tick(100)
+        expect(vm.$v.value.$invalid).to.be.true
+        expect(vm.$v.value.$asyncError).to.be.false
+        expect(vm.$v.value.$errors.length).to.equal(1)
+      })
+
+      it('should use global timeout', () => {
+        config.asyncTimeout = 50
+        const vm = setupTimeout(hanging)
+        vm.value = 'x1'
+        vm.$v.value.asyncVal
+        clock.tick(50)
+        expect(vm.$v.value.$timedOut).to.be.true
+      })
+
+      it('should prefer rule timeout over global', () => {
+        config.asyncTimeout = 50
+        const vm = setupTimeout(withTimeout(0, hanging))
+        vm.value = 'x1'
+        vm.$v.value.asyncVal
+        clock.tick(1000)
+        expect(vm.$v.value.$pending).to.be.true
+      })
+
+      it('should abort the run on timeout', () => {
+        let signal = null
+        const vm = setupTimeout(
+          withTimeout(100, (val, parentVm, s) => {
+            signal = s
+            return new Promise(() => {})
+          })
+        )
+        vm.value = 'x1'
+        vm.$v.value.asyncVal
+        clock.tick(100)
+        expect(signal.aborted).to.be.true
+      })
+
+      it('should not time out when resolved in time', () => {
+        let resolve = null
+        const vm = setupTimeout(
+          withTimeout(100, () => new Promise((r) => (resolve = r)))
+        )
+        vm.value = 'x1'
+        vm.$v.value.asyncVal
+        resolve(true)
+        return Promise.resolve().then(() => {
+          clock.tick(100)
+          expect(vm.$v.value.$timedOut).to.be.false
+          expect(vm.$v.value.asyncVal).to.be.true
+        })
+      })
+
+      it('should retry timed out validators', () => {
+        const vm = setupTimeout(withTimeout(100, hanging, 'invalid'))
+        vm.value = 'x1'
+        vm.$v.value.asyncVal
+        clock.tick(100)
+        vm.$v.value.$retry()
+        expect(vm.$v.value.$pending).to.be.true
+        expect(vm.$v.value.$timedOut).to.be.false
+      })
+    })
+
+    describe('cancellation', () => {
+      function setupCancellable() {
+        const calls = []
+        const asyncVal = (val, parentVm, signal) => {
+          if (val === '') return true
+          return new Promise((resolve) => {
+            calls.push({ val, signal, resolve })
+          })
+        }
+
+        const vm = new Vue({
+          data: { value: '' },
+          validations: {
+            value: { asyncVal }
+          }
+        })
+        return { calls, vm }
+      }
+
+      it('should pass an abort signal to validators', () => {
+        const { calls, vm } = setupCancellable()
+        vm.value = 'x1'
+        vm.$v.value.asyncVal // execute getter
+        expect(calls[0].signal.aborted).to.be.false
+      })
+
+      it('should abort previous run on model change', () => {
+        const { calls, vm } = setupCancellable()
+        vm.value = 'x1'
+        vm.$v.value.asyncVal
+        vm.value = 'x2'
+        vm.$v.value.asyncVal
+        expect(calls[0].signal.aborted).to.be.true
+        expect(calls[1].signal.aborted).to.be.false
+      })
+
+      it('should abort previous run on model change without a read', () => {
+        const { calls, vm } = setupCancellable()
+        vm.value = 'x1'
+        vm.$v.value.asyncVal
+        vm.value = 'x2'
+        expect(calls).to.have.length(1)
+        expect(calls[0].signal.aborted).to.be.true
+      })
+
+      it('should ignore results of superseded runs', () => {
+        const { calls, vm } = setupCancellable()
+        vm.value = 'x1'
+        vm.$v.value.asyncVal
+        vm.value = 'x2'
+        vm.$v.value.asyncVal
+        calls[1].resolve(false)
+        calls[0].resolve(true)
+        return Promise.resolve().then(() => {
+          expect(vm.$v.value.asyncVal).to.be.false
+          expect(vm.$v.value.$pending).to.be.false
+        })
+      })
+
+      it('should stay pending when only a superseded run settles', () => {
+        const { calls, vm } = setupCancellable()
+        vm.value = 'x1'
+        vm.$v.value.asyncVal
+        vm.value = 'x2'
+        vm.$v.value.asyncVal
+        calls[0].resolve(true)
+        return Promise.resolve().then(() => {
+          expect(vm.$v.value.$pending).to.be.true
+          expect(vm.$v.value.asyncVal).to.be.false
+        })
+      })
+
+      it('should be pending immediately with debounced validators', () => {
+        const clock = sinon.useFakeTimers()
+        const spy = sinon.stub().returns(true)
+        const vm = new Vue({
+          data: { value: '' },
+          validations: {
+            value: { asyncVal: debounce(100, spy) }
+          }
+        })
+        try {
+          vm.value = 'x1'
+          expect(vm.$v.value.$pending).to.be.true
+          vm.value = 'x2'
+          expect(vm.$v.value.$pending).to.be.true
+          clock.tick(100)
+          expect(spy).to.have.been.calledOnce
+          expect(spy).to.have.been.calledWith('x2')
+        } finally {
+          clock.restore()
+        }
+      })
+
+      it('should abort pending run on destroy', () => {
+        const { calls, vm } = setupCancellable()
+        vm.value = 'x1'
+        vm.$v.value.asyncVal
+        vm.$destroy()
+        expect(calls[0].signal.aborted).to.be.true
+      })
+    })
   })
 
   describe('$v.value.$dirty', () => {
@@ -455,52 +805,739 @@ describe('Validation plugin', () => {
             }
           }
         })
-        vm.$v.nested.value1.$touch()
-        vm.$v.nested.value2.$touch()
-        expect(vm.$v.nested.$anyDirty).to.be.true
+        vm.$v.nested.value1.$touch()
+        vm.$v.nested.value2.$touch()
+        expect(vm.$v.nested.$anyDirty).to.be.true
+      })
+      it('should have $error false when not all nested values are $dirty and $invalid', () => {
+        const vm = new Vue({
+          ...baseGroup,
+          validations: {
+            nested: {
+              value1: { F },
+              value2: { T }
+            }
+          }
+        })
+        vm.$v.nested.value1.$touch()
+        expect(vm.$v.nested.$error).to.be.false
+      })
+      it('should have $anyError true when not all nested values are $dirty and $invalid', () => {
+        const vm = new Vue({
+          ...baseGroup,
+          validations: {
+            nested: {
+              value1: { F },
+              value2: { T }
+            }
+          }
+        })
+        vm.$v.nested.value1.$touch()
+        expect(vm.$v.nested.$anyError).to.be.true
+      })
+      it('should propagate nested.$reset to all nested values', () => {
+        const vm = new Vue({
+          ...baseGroup,
+          validations: {
+            nested: {
+              value1: { T },
+              value2: { T }
+            }
+          }
+        })
+        vm.$v.nested.value1.$touch()
+        vm.$v.nested.$reset()
+        expect(vm.$v.nested.value1.$dirty).to.be.false
+        expect(vm.$v.nested.value2.$dirty).to.be.false
+        expect(vm.$v.nested.value1.$anyDirty).to.be.false
+        expect(vm.$v.nested.value2.$anyDirty).to.be.false
+      })
+    })
+  })
+
+  describe('$autoDirty', () => {
+    afterEach(() => {
+      config.autoDirty = false
+    })
+
+    it('should not mark models dirty on change by default', () => {
+      const vm = new Vue({
+        ...base,
+        validations: {
+          value: { isEven }
+        }
+      })
+      expect(vm.$v.value.$dirty).to.be.false
+      vm.value = 5
+      expect(vm.$v.value.$dirty).to.be.false
+    })
+
+    it('should mark the model dirty when its value changes', () => {
+      const vm = new Vue({
+        ...base,
+        validations: {
+          value: { $autoDirty: true, isEven }
+        }
+      })
+      expect(vm.$v.value.$dirty).to.be.false
+      vm.value = 5
+      expect(vm.$v.value.$dirty).to.be.true
+      expect(vm.$v.value.$error).to.be.true
+    })
+
+    it('should mark models dirty on writes before $v is read', () => {
+      const vm = new Vue({
+        data: { a: '', nested: { b: '' }, list: [{ c: '' }] },
+        validations: {
+          $autoDirty: true,
+          a: { T },
+          nested: { b: { T } },
+          list: { $each: { c: { T } } }
+        }
+      })
+      vm.a = 'x'
+      vm.nested.b = 'y'
+      vm.list[0].c = 'z'
+      expect(vm.$v.a.$dirty).to.be.true
+      expect(vm.$v.nested.b.$dirty).to.be.true
+      expect(vm.$v.list.$each[0].c.$dirty).to.be.true
+    })
+
+    it('should mark nested models dirty before $v is read', () => {
+      const vm = new Vue({
+        data: { nested: { a: '' }, b: '' },
+        validations: {
+          nested: { a: { $autoDirty: true, T } },
+          b: { T }
+        }
+      })
+      vm.nested.a = 'x'
+      vm.b = 'y'
+      expect(vm.$v.nested.a.$dirty).to.be.true
+      expect(vm.$v.b.$dirty).to.be.false
+    })
+
+    it('should not expose $autoDirty as a validation key', () => {
+      const vm = new Vue({
+        ...base,
+        validations: {
+          value: { $autoDirty: true, isEven }
+        }
+      })
+      expect(vm.$v.value.$params).to.have.all.keys('isEven')
+      expect(vm.$v.value).not.to.have.property('$autoDirty')
+    })
+
+    it('should be inherited by nested models', () => {
+      const vm = new Vue({
+        ...baseGroup,
+        validations: {
+          $autoDirty: true,
+          value1: { T },
+          nested: {
+            value3: { T },
+            value4: { $autoDirty: false, T }
+          }
+        }
+      })
+      expect(vm.$v.nested.value3.$dirty).to.be.false
+      vm.nested.value3 = 5
+      vm.nested.value4 = 5
+      expect(vm.$v.nested.value3.$dirty).to.be.true
+      expect(vm.$v.nested.value4.$dirty).to.be.false
+      expect(vm.$v.value1.$dirty).to.be.false
+    })
+
+    it('should be inherited by $each items', () => {
+      const vm = new Vue({
+        data: { list: [{ name: 'a' }, { name: 'b' }] },
+        validations: {
+          list: {
+            $autoDirty: true,
+            $each: { name: { T } }
+          }
+        }
+      })
+      expect(vm.$v.list.$each[1].name.$dirty).to.be.false
+      vm.list[1].name = 'c'
+      expect(vm.$v.list.$each[1].name.$dirty).to.be.true
+      expect(vm.$v.list.$each[0].name.$dirty).to.be.false
+    })
+
+    it('should be enabled globally with the autoDirty option', () => {
+      config.autoDirty = true
+      const vm = new Vue({
+        ...base,
+        validations: {
+          value: { isEven }
+        }
+      })
+      expect(vm.$v.value.$dirty).to.be.false
+      vm.value = 5
+      expect(vm.$v.value.$dirty).to.be.true
+    })
+
+    it('should be disabled per model when enabled globally', () => {
+      config.autoDirty = true
+      const vm = new Vue({
+        ...base,
+        validations: {
+          value: { $autoDirty: false, isEven }
+        }
+      })
+      expect(vm.$v.value.$dirty).to.be.false
+      vm.value = 5
+      expect(vm.$v.value.$dirty).to.be.false
+    })
+
+    it('should follow $autoDirty changes of dynamic validations', () => {
+      const vm = new Vue({
+        data: { value: 4, auto: false },
+        validations() {
+          return { value: { $autoDirty: this.auto, isEven } }
+        }
+      })
+      expect(vm.$v.value.$dirty).to.be.false
+      vm.value = 5
+      expect(vm.$v.value.$dirty).to.be.false
+      vm.auto = true
+      expect(vm.$v.value.$dirty).to.be.false
+      vm.value = 6
+      expect(vm.$v.value.$dirty).to.be.true
+    })
+
+    it('should be reset with $reset', () => {
+      const vm = new Vue({
+        ...base,
+        validations: {
+          value: { $autoDirty: true, isEven }
+        }
+      })
+      expect(vm.$v.value.$dirty).to.be.false
+      vm.value = 5
+      vm.$v.$reset()
+      expect(vm.$v.value.$dirty).to.be.false
+      vm.value = 6
+      expect(vm.$v.value.$dirty).to.be.true
+    })
+  })
+
+  describe('$lazy', () => {
+    it('should not run rules of a clean lazy model', () => {
+      const spy = sinon.spy(F)
+      const vm = new Vue({
+        ...base,
+        validations: {
+          value: { $lazy: true, spy }
+        }
+      })
+      expect(vm.$v.value.$invalid).to.be.false
+      expect(vm.$v.value.spy).to.be.true
+      expect(spy).not.to.have.been.called
+    })
+
+    it('should run rules once the model is touched', () => {
+      const spy = sinon.spy(F)
+      const vm = new Vue({
+        ...base,
+        validations: {
+          value: { $lazy: true, spy }
+        }
+      })
+      expect(vm.$v.value.$invalid).to.be.false
+      vm.$v.value.$touch()
+      expect(vm.$v.value.$invalid).to.be.true
+      expect(vm.$v.value.$error).to.be.true
+      expect(spy).to.have.been.calledOnce
+    })
+
+    it('should run rules on $validate', () => {
+      const vm = new Vue({
+        ...base,
+        validations: {
+          value: { $lazy: true, isOdd }
+        }
+      })
+      expect(vm.$v.$invalid).to.be.false
+      return vm.$v.$validate().then((valid) => {
+        expect(valid).to.be.false
+        expect(vm.$v.value.$invalid).to.be.true
+      })
+    })
+
+    it('should run rules when set through $model', () => {
+      const vm = new Vue({
+        ...base,
+        validations: {
+          value: { $lazy: true, isEven }
+        }
+      })
+      expect(vm.$v.value.$invalid).to.be.false
+      vm.$v.value.$model = 5
+      expect(vm.$v.value.$invalid).to.be.true
+    })
+
+    it('should not run rules on model change alone', () => {
+      const spy = sinon.spy(T)
+      const vm = new Vue({
+        ...base,
+        validations: {
+          value: { $lazy: true, spy }
+        }
+      })
+      expect(vm.$v.value.$invalid).to.be.false
+      vm.value = 5
+      expect(vm.$v.value.$invalid).to.be.false
+      expect(spy).not.to.have.been.called
+    })
+
+    it('should be inherited by nested models', () => {
+      const spy = sinon.spy(F)
+      const vm = new Vue({
+        ...baseGroup,
+        validations: {
+          $lazy: true,
+          value1: { spy },
+          nested: {
+            value3: { F },
+            value4: { $lazy: false, F }
+          }
+        }
+      })
+      expect(vm.$v.value1.$invalid).to.be.false
+      expect(vm.$v.nested.value3.$invalid).to.be.false
+      expect(vm.$v.nested.value4.$invalid).to.be.true
+      expect(spy).not.to.have.been.called
+      vm.$v.nested.$touch()
+      expect(vm.$v.nested.value3.$invalid).to.be.true
+      expect(vm.$v.value1.$invalid).to.be.false
+    })
+
+    it('should be inherited by $each items', () => {
+      const vm = new Vue({
+        data: { list: [{ name: 'a' }, { name: 'b' }] },
+        validations: {
+          list: {
+            $lazy: true,
+            $each: { name: { F } }
+          }
+        }
+      })
+      expect(vm.$v.list.$invalid).to.be.false
+      vm.$v.list.$each[1].name.$touch()
+      expect(vm.$v.list.$each[1].name.$invalid).to.be.true
+      expect(vm.$v.list.$each[0].name.$invalid).to.be.false
+      expect(vm.$v.list.$invalid).to.be.true
+    })
+
+    it('should not start async rules until touched', () => {
+      const spy = sinon.spy(() => Promise.resolve(true))
+      const vm = new Vue({
+        ...base,
+        validations: {
+          value: { $lazy: true, asyncVal: spy }
+        }
+      })
+      expect(vm.$v.value.$pending).to.be.false
+      expect(spy).not.to.have.been.called
+      vm.$v.value.$touch()
+      expect(vm.$v.value.$pending).to.be.true
+      expect(spy).to.have.been.calledOnce
+    })
+
+    it('should stop evaluating rules after $reset', () => {
+      const vm = new Vue({
+        ...base,
+        validations: {
+          value: { $lazy: true, isOdd }
+        }
+      })
+      vm.$v.value.$touch()
+      expect(vm.$v.value.$invalid).to.be.true
+      vm.$v.value.$reset()
+      expect(vm.$v.value.$invalid).to.be.false
+    })
+
+    it('should not expose $lazy as a validation key', () => {
+      const vm = new Vue({
+        ...base,
+        validations: {
+          value: { $lazy: true, isEven }
+        }
+      })
+      expect(vm.$v.value.$params).to.have.all.keys('isEven')
+    })
+  })
+
+  describe('$stopOnFirstFailure', () => {
+    afterEach(() => {
+      config.stopOnFirstFailure = false
+    })
+
+    it('should evaluate all rules by default', () => {
+      const spy = sinon.spy(T)
+      const vm = new Vue({
+        ...base,
+        validations: {
+          value: { F, spy }
+        }
+      })
+      expect(vm.$v.value.spy).to.be.true
+      expect(spy).to.have.been.calledOnce
+    })
+
+    it('should skip rules following a failing one', () => {
+      const spy = sinon.spy(T)
+      const vm = new Vue({
+        ...base,
+        validations: {
+          value: { $stopOnFirstFailure: true, isEven, isOdd, spy }
+        }
+      })
+      expect(vm.$v.value.isEven).to.be.true
+      expect(vm.$v.value.isOdd).to.be.false
+      expect(vm.$v.value.spy).to.be.null
+      expect(vm.$v.value.$invalid).to.be.true
+      expect(spy).not.to.have.been.called
+    })
+
+    it('should evaluate skipped rules once the failing one passes', () => {
+      const spy = sinon.spy(T)
+      const vm = new Vue({
+        ...base,
+        validations: {
+          value: { $stopOnFirstFailure: true, isOdd, spy }
+        }
+      })
+      expect(vm.$v.value.spy).to.be.null
+      vm.value = 5
+      expect(vm.$v.value.spy).to.be.true
+      expect(vm.$v.value.$invalid).to.be.false
+      expect(spy).to.have.been.calledOnce
+      vm.value = 6
+      expect(vm.$v.value.spy).to.be.null
+    })
+
+    it('should not list skipped rules in $errors', () => {
+      const vm = new Vue({
+        ...base,
+        validations: {
+          value: { $stopOnFirstFailure: true, isOdd, F }
+        }
+      })
+      expect(vm.$v.value.$errors.map((e) => e.name)).to.deep.equal(['isOdd'])
+      expect(vm.$v.value.$params.F).to.equal(null)
+    })
+
+    it('should not start async rules following a failing one', () => {
+      const spy = sinon.spy(() => Promise.resolve(true))
+      const vm = new Vue({
+        data: { value: '' },
+        validations: {
+          value: {
+            $stopOnFirstFailure: true,
+            required: (v) => v !== '',
+            isUnique: spy
+          }
+        }
+      })
+      expect(vm.$v.value.isUnique).to.be.null
+      expect(vm.$v.value.$pending).to.be.false
+      expect(spy).not.to.have.been.called
+      vm.value = 'x'
+      expect(vm.$v.value.$pending).to.be.true
+      expect(spy).to.have.been.calledOnce
+    })
+
+    it('should wait for pending rules', () => {
+      let resolve = null
+      const spy = sinon.spy(T)
+      const vm = new Vue({
+        ...base,
+        validations: {
+          value: {
+            $stopOnFirstFailure: true,
+            asyncVal: () => new Promise((r) => (resolve = r)),
+            spy
+          }
+        }
+      })
+      expect(vm.$v.value.$pending).to.be.true
+      expect(vm.$v.value.spy).to.be.null
+      resolve(true)
+      return Promise.resolve().then(() => {
+        expect(vm.$v.value.spy).to.be.true
+        expect(vm.$v.value.$invalid).to.be.false
+      })
+    })
+
+    it('should not stop on failing warnings', () => {
+      const vm = new Vue({
+        ...base,
+        validations: {
+          value: {
+            $stopOnFirstFailure: true,
+            weak: withSeverity('warning', F),
+            isOdd,
+            T
+          }
+        }
+      })
+      expect(vm.$v.value.weak).to.be.false
+      expect(vm.$v.value.isOdd).to.be.false
+      expect(vm.$v.value.T).to.be.null
+    })
+
+    it('should be inherited by nested models and $each items', () => {
+      const vm = new Vue({
+        data: { nested: { value: 1 }, list: [1], other: 1 },
+        validations: {
+          $stopOnFirstFailure: true,
+          nested: { value: { F, T } },
+          list: { $each: { F, T } },
+          other: { $stopOnFirstFailure: false, F, T }
+        }
+      })
+      expect(vm.$v.nested.value.T).to.be.null
+      expect(vm.$v.list.$each[0].T).to.be.null
+      expect(vm.$v.other.T).to.be.true
+    })
+
+    it('should use the global option', () => {
+      config.stopOnFirstFailure = true
+      const vm = new Vue({
+        ...base,
+        validations: {
+          value: { F, T }
+        }
+      })
+      expect(vm.$v.value.T).to.be.null
+    })
+
+    it('should not expose $stopOnFirstFailure as a validation key', () => {
+      const vm = new Vue({
+        ...base,
+        validations: {
+          value: { $stopOnFirstFailure: true, isEven }
+        }
+      })
+      expect(Object.keys(vm.$v.value.$params)).to.deep.equal(['isEven'])
+    })
+  })
+
+  describe('$validateOn', () => {
+    it('should show errors on input by default', () => {
+      const vm = new Vue({
+        ...base,
+        validations: {
+          value: { isOdd }
+        }
+      })
+      vm.$v.value.$touch()
+      expect(vm.$v.value.$error).to.be.true
+    })
+
+    it('should show errors after blur', () => {
+      const vm = new Vue({
+        ...base,
+        validations: {
+          value: { $validateOn: 'blur', isOdd }
+        }
+      })
+      vm.$v.value.$model = 6
+      expect(vm.$v.value.$dirty).to.be.true
+      expect(vm.$v.value.$invalid).to.be.true
+      expect(vm.$v.value.$error).to.be.false
+      vm.$v.value.$blur()
+      expect(vm.$v.value.$error).to.be.true
+    })
+
+    it('should touch the model on blur', () => {
+      const vm = new Vue({
+        ...base,
+        validations: {
+          value: { $validateOn: 'blur', isOdd }
+        }
+      })
+      vm.$v.value.$blur()
+      expect(vm.$v.value.$dirty).to.be.true
+      expect(vm.$v.value.$error).to.be.true
+    })
+
+    it('should show errors of blur models after submit', () => {
+      const vm = new Vue({
+        ...base,
+        validations: {
+          value: { $validateOn: 'blur', isOdd }
+        }
+      })
+      return vm.$v.$submit().then((valid) => {
+        expect(valid).to.be.false
+        expect(vm.$v.value.$error).to.be.true
+      })
+    })
+
+    it('should show errors only after submit', () => {
+      const vm = new Vue({
+        ...base,
+        validations: {
+          value: { $validateOn: 'submit', isOdd }
+        }
+      })
+      vm.$v.value.$blur()
+      expect(vm.$v.value.$error).to.be.false
+      return vm.$v.$submit().then(() => {
+        expect(vm.$v.value.$error).to.be.true
+        expect(vm.$v.$anyError).to.be.true
+      })
+    })
+
+    it('should be inherited by nested models', () => {
+      const vm = new Vue({
+        ...baseGroup,
+        validations: {
+          $validateOn: 'submit',
+          value1: { F },
+          nested: {
+            value3: { F },
+            value4: { $validateOn: 'input', F }
+          }
+        }
+      })
+      vm.$v.$touch()
+      expect(vm.$v.value1.$error).to.be.false
+      expect(vm.$v.nested.value3.$error).to.be.false
+      expect(vm.$v.nested.value4.$error).to.be.true
+    })
+
+    it('should apply blur of a model to its children', () => {
+      const vm = new Vue({
+        ...baseGroup,
+        validations: {
+          nested: {
+            $validateOn: 'blur',
+            value3: { F },
+            value4: { F }
+          }
+        }
+      })
+      vm.$v.nested.value3.$blur()
+      expect(vm.$v.nested.value3.$error).to.be.true
+      expect(vm.$v.nested.value4.$error).to.be.false
+      vm.$v.nested.$blur()
+      expect(vm.$v.nested.value4.$error).to.be.true
+    })
+
+    it('should apply to $each items', () => {
+      const vm = new Vue({
+        data: { list: [{ name: 'a' }, { name: 'b' }] },
+        validations: {
+          list: {
+            $validateOn: 'blur',
+            $each: { name: { F } }
+          }
+        }
+      })
+      vm.$v.list.$touch()
+      expect(vm.$v.list.$each[0].name.$error).to.be.false
+      vm.$v.list.$each[0].name.$blur()
+      expect(vm.$v.list.$each[0].name.$error).to.be.true
+      expect(vm.$v.list.$each[1].name.$error).to.be.false
+    })
+
+    it('should clear blur and submit on $reset', () => {
+      const vm = new Vue({
+        ...base,
+        validations: {
+          value: { $validateOn: 'submit', isOdd }
+        }
+      })
+      return vm.$v.$submit().then(() => {
+        vm.$v.$reset()
+        vm.$v.value.$touch()
+        expect(vm.$v.value.$error).to.be.false
+      })
+    })
+
+    it('should throw on unknown events', () => {
+      const vm = new Vue({
+        ...base,
+        validations: {
+          value: { $validateOn: 'change', isOdd }
+        }
+      })
+      vm.$v.value.$touch()
+      expect(() => vm.$v.value.$error).to.throw(
+        '$validateOn must be one of: input,blur,submit'
+      )
+    })
+
+    describe('directives', () => {
+      const mount = (template, validations) =>
+        new Vue({
+          directives: { blur: vBlur, submit: vSubmit },
+          data: { value: 4, other: 4 },
+          validations,
+          template
+        }).$mount()
+
+      it('should signal blur with v-blur', () => {
+        const vm = mount('<div><input v-blur="$v.value"></div>', {
+          value: { $validateOn: 'blur', isOdd }
+        })
+        const input = vm.$el.querySelector('input')
+        input.dispatchEvent(new Event('focusout', { bubbles: true }))
+        expect(vm.$v.value.$error).to.be.true
       })
-      it('should have $error false when not all nested values are $dirty and $invalid', () => {
-        const vm = new Vue({
-          ...baseGroup,
-          validations: {
-            nested: {
-              value1: { F },
-              value2: { T }
-            }
-          }
+
+      it('should catch blurs of nested inputs', () => {
+        const vm = mount('<div v-blur="$v.value"><input></div>', {
+          value: { $validateOn: 'blur', isOdd }
         })
-        vm.$v.nested.value1.$touch()
-        expect(vm.$v.nested.$error).to.be.false
+        const input = vm.$el.querySelector('input')
+        input.dispatchEvent(new Event('focusout', { bubbles: true }))
+        expect(vm.$v.value.$error).to.be.true
       })
-      it('should have $anyError true when not all nested values are $dirty and $invalid', () => {
-        const vm = new Vue({
-          ...baseGroup,
-          validations: {
-            nested: {
-              value1: { F },
-              value2: { T }
-            }
-          }
+
+      it('should signal submit with v-submit', () => {
+        const vm = mount('<form v-submit="$v"><input></form>', {
+          value: { $validateOn: 'submit', isOdd }
         })
-        vm.$v.nested.value1.$touch()
-        expect(vm.$v.nested.$anyError).to.be.true
+        vm.$el.dispatchEvent(new Event('submit'))
+        expect(vm.$v.value.$error).to.be.true
       })
-      it('should propagate nested.$reset to all nested values', () => {
+
+      it('should follow changes of the bound model', () => {
         const vm = new Vue({
-          ...baseGroup,
+          directives: { blur: vBlur },
+          data: { useOther: false, value: 4, other: 4 },
           validations: {
-            nested: {
-              value1: { T },
-              value2: { T }
-            }
-          }
+            value: { $validateOn: 'blur', isOdd },
+            other: { $validateOn: 'blur', isOdd }
+          },
+          template:
+            '<input v-blur="useOther ? $v.other : $v.value" :data-x="useOther">'
+        }).$mount()
+        vm.useOther = true
+        return Vue.nextTick().then(() => {
+          vm.$el.dispatchEvent(new Event('focusout'))
+          expect(vm.$v.other.$error).to.be.true
+          expect(vm.$v.value.$error).to.be.false
+        })
+      })
+
+      it('should remove listeners on unbind', () => {
+        const vm = mount('<div><input v-if="other" v-blur="$v.value"></div>', {
+          value: { $validateOn: 'blur', isOdd }
+        })
+        const input = vm.$el.querySelector('input')
+        const spy = sinon.spy(input, 'removeEventListener')
+        vm.other = 0
+        return Vue.nextTick().then(() => {
+          expect(spy).to.have.been.calledWith('focusout')
+          input.dispatchEvent(new Event('focusout'))
+          expect(vm.$v.value.$dirty).to.be.false
         })
-        vm.$v.nested.value1.$touch()
-        vm.$v.nested.$reset()
-        expect(vm.$v.nested.value1.$dirty).to.be.false
-        expect(vm.$v.nested.value2.$dirty).to.be.false
-        expect(vm.$v.nested.value1.$anyDirty).to.be.false
-        expect(vm.$v.nested.value2.$anyDirty).to.be.false
       })
     })
   })
@@ -1367,4 +2404,548 @@ describe('Validation plugin', () => {
       expect(vm.$v.array.$each[0].$dirty).to.be.true
     })
   })
+
+  describe('$errors and $message', () => {
+    const minLen = (min) =>
+      withParams({ type: 'minLength', min }, (v) => v.length >= min)
+
+    it('should have empty $errors and null $message when valid', () => {
+      const vm = new Vue({
+        ...base,
+        validations: {
+          value: { isEven }
+        }
+      })
+      expect(vm.$v.value.$errors).to.deep.equal([])
+      expect(vm.$v.value.$message).to.be.null
+    })
+
+    it('should render default message from rule $params', () => {
+      const vm = new Vue({
+        data: { value: 'ab' },
+        validations: {
+          value: { minLength: minLen(3) }
+        }
+      })
+      expect(vm.$v.value.$errors).to.deep.equal([
+        {
+          path: [],
+          name: 'minLength',
+          params: { type: 'minLength', min: 3 },
+          message: 'Must be at least 3 characters long'
+        }
+      ])
+      expect(vm.$v.value.$message).to.equal(
+        'Must be at least 3 characters long'
+      )
+    })
+
+    it('should use fallback message for rules without known type', () => {
+      const vm = new Vue({
+        ...base,
+        validations: {
+          value: { F }
+        }
+      })
+      expect(vm.$v.value.$message).to.equal('Value is invalid')
+    })
+
+    it('should use message attached with withMessage', () => {
+      const vm = new Vue({
+        data: { value: 'ab' },
+        validations: {
+          value: {
+            minLength: withMessage('{min} letters please', minLen(3))
+          }
+        }
+      })
+      expect(vm.$v.value.$message).to.equal('3 letters please')
+    })
+
+    it('should collect nested errors with paths', () => {
+      const vm = new Vue({
+        ...baseGroup,
+        validations: {
+          nested: {
+            value3: { isEven },
+            value4: { isEven }
+          },
+          value1: { isOdd }
+        }
+      })
+      const errors = vm.$v.$errors
+      expect(errors.map((e) => e.path)).to.deep.equal([['nested', 'value3']])
+      expect(errors[0].name).to.equal('isEven')
+      expect(vm.$v.nested.$errors[0].path).to.deep.equal(['value3'])
+    })
+
+    it('should report the first failure as $message', () => {
+      const vm = new Vue({
+        data: { value: 'ab' },
+        validations: {
+          value: {
+            first: withMessage('first', F),
+            second: withMessage('second', F)
+          }
+        }
+      })
+      expect(vm.$v.value.$errors.length).to.equal(2)
+      expect(vm.$v.value.$message).to.equal('first')
+    })
+
+    it('should update messages reactively', () => {
+      const vm = new Vue({
+        ...base,
+        validations: {
+          value: { isEven }
+        }
+      })
+      expect(vm.$v.value.$message).to.be.null
+      vm.value = 3
+      expect(vm.$v.value.$message).to.equal('Value is invalid')
+    })
+
+    it('should re-render messages on locale change', () => {
+      addMessages('test-pl', { minLength: 'Co najmniej {min} znaki' })
+      const vm = new Vue({
+        data: { value: 'ab' },
+        validations: {
+          value: { minLength: minLen(3) }
+        }
+      })
+      expect(vm.$v.value.$message).to.equal(
+        'Must be at least 3 characters long'
+      )
+      setLocale('test-pl')
+      try {
+        expect(vm.$v.value.$message).to.equal('Co najmniej 3 znaki')
+      } finally {
+        setLocale('en')
+      }
+    })
+
+    it('should collect errors of $each children', () => {
+      const vm = new Vue({
+        data: { list: [1, 2] },
+        validations: {
+          list: {
+            $each: { isOdd }
+          }
+        }
+      })
+      expect(vm.$v.list.$errors.map((e) => e.path)).to.deep.equal([
+        ['$each', '1']
+      ])
+    })
+
+    it('should not report pending async rules', () => {
+      const vm = new Vue({
+        data: { value: 'x' },
+        validations: {
+          value: { asyncVal: () => new Promise(() => {}) }
+        }
+      })
+      expect(vm.$v.value.$pending).to.be.true
+      expect(vm.$v.value.$errors).to.deep.equal([])
+    })
+  })
+
+  describe('$validate', () => {
+    function setupAsync() {
+      const resolvers = []
+      const asyncVal = (val) => {
+        if (val === '') return true
+        return new Promise((resolve) => resolvers.push(resolve))
+      }
+
+      const vm = new Vue({
+        data: { value: 'x', other: 4 },
+        validations: {
+          value: { asyncVal },
+          other: { isEven }
+        }
+      })
+      return { resolvers, vm }
+    }
+
+    it('should return a promise', () => {
+      const vm = new Vue({
+        ...base,
+        validations: {
+          value: { isEven }
+        }
+      })
+      expect(vm.$v.$validate()).to.be.an.instanceof(Promise)
+    })
+
+    it('should touch the subtree', () => {
+      const { vm } = setupAsync()
+      vm.$v.$validate()
+      expect(vm.$v.value.$dirty).to.be.true
+      expect(vm.$v.other.$dirty).to.be.true
+    })
+
+    it('should resolve with validity of synchronous validators', () => {
+      const vm = new Vue({
+        ...base,
+        validations: {
+          value: { isOdd }
+        }
+      })
+      return vm.$v.$validate().then((valid) => {
+        expect(valid).to.be.false
+      })
+    })
+
+    it('should resolve on nested nodes', () => {
+      const vm = new Vue({
+        ...base,
+        validations: {
+          value: { isEven }
+        }
+      })
+      return vm.$v.value.$validate().then((valid) => {
+        expect(valid).to.be.true
+        expect(vm.$v.value.$dirty).to.be.true
+      })
+    })
+
+    it('should wait for pending async validators', () => {
+      const { resolvers, vm } = setupAsync()
+      const result = vm.$v.$validate()
+      expect(vm.$v.$pending).to.be.true
+      resolvers[0](true)
+      return result.then((valid) => {
+        expect(vm.$v.$pending).to.be.false
+        expect(valid).to.be.true
+      })
+    })
+
+    it('should resolve false when async validator fails', () => {
+      const { resolvers, vm } = setupAsync()
+      const result = vm.$v.value.$validate()
+      resolvers[0](false)
+      return result.then((valid) => {
+        expect(valid).to.be.false
+      })
+    })
+  })
+
+  describe('$externalResults', () => {
+    const setup = () =>
+      new Vue({
+        data: {
+          name: 'x',
+          address: { city: 'Paris' },
+          items: [{ name: 'a' }, { name: 'b' }]
+        },
+        validations: {
+          name: { T },
+          address: { city: { T } },
+          items: { $each: { name: { T } } }
+        }
+      })
+
+    it('should be empty by default', () => {
+      const vm = setup()
+      expect(vm.$v.name.$externalResults).to.deep.equal([])
+      expect(vm.$v.$invalid).to.be.false
+    })
+
+    it('should assign results by path', () => {
+      const vm = setup()
+      vm.$v.$setExternalResults({
+        name: 'Name is taken',
+        'address.city': ['Unknown city', 'Not served']
+      })
+      expect(vm.$v.name.$externalResults).to.deep.equal(['Name is taken'])
+      expect(vm.$v.address.city.$externalResults).to.deep.equal([
+        'Unknown city',
+        'Not served'
+      ])
+      expect(vm.$v.address.$externalResults).to.deep.equal([])
+    })
+
+    it('should make matching nodes invalid and erroneous', () => {
+      const vm = setup()
+      vm.$v.$setExternalResults({ 'address.city': 'Unknown city' })
+      expect(vm.$v.address.city.$invalid).to.be.true
+      expect(vm.$v.address.city.$error).to.be.true
+      expect(vm.$v.address.$invalid).to.be.true
+      expect(vm.$v.$anyError).to.be.true
+      expect(vm.$v.name.$invalid).to.be.false
+    })
+
+    it('should list results in $errors', () => {
+      const vm = setup()
+      vm.$v.$setExternalResults({ 'address.city': 'Unknown city' })
+      expect(vm.$v.$errors).to.deep.equal([
+        {
+          path: ['address', 'city'],
+          name: '$external',
+          params: null,
+          message: 'Unknown city'
+        }
+      ])
+      expect(vm.$v.address.city.$message).to.equal('Unknown city')
+    })
+
+    it('should assign results to $each items by index', () => {
+      const vm = setup()
+      vm.$v.$setExternalResults({ 'items.1.name': 'Too short' })
+      expect(vm.$v.items.$each[1].name.$externalResults).to.deep.equal([
+        'Too short'
+      ])
+      expect(vm.$v.items.$each[0].name.$invalid).to.be.false
+      expect(vm.$v.items.$invalid).to.be.true
+      expect(vm.$v.items.$each.$externalResults).to.deep.equal([])
+    })
+
+    it('should resolve paths relative to the node', () => {
+      const vm = setup()
+      vm.$v.address.$setExternalResults({ city: 'Unknown city', '': 'Bad' })
+      expect(vm.$v.address.city.$externalResults).to.deep.equal([
+        'Unknown city'
+      ])
+      expect(vm.$v.address.$externalResults).to.deep.equal(['Bad'])
+    })
+
+    it('should replace previous results under the node', () => {
+      const vm = setup()
+      vm.$v.$setExternalResults({ name: 'Taken', 'address.city': 'Unknown' })
+      vm.$v.address.$setExternalResults({})
+      expect(vm.$v.address.city.$externalResults).to.deep.equal([])
+      expect(vm.$v.name.$externalResults).to.deep.equal(['Taken'])
+    })
+
+    it('should ignore empty messages', () => {
+      const vm = setup()
+      vm.$v.$setExternalResults({ name: [], 'address.city': '' })
+      expect(vm.$v.$invalid).to.be.false
+    })
+
+    it('should clear results with $clearExternalResults', () => {
+      const vm = setup()
+      vm.$v.$setExternalResults({ name: 'Taken', 'address.city': 'Unknown' })
+      vm.$v.address.$clearExternalResults()
+      expect(vm.$v.address.city.$externalResults).to.deep.equal([])
+      expect(vm.$v.name.$externalResults).to.deep.equal(['Taken'])
+      vm.$v.$clearExternalResults()
+      expect(vm.$v.$invalid).to.be.false
+    })
+
+    it('should clear results when the model value changes', () => {
+      const vm = setup()
+      vm.$v.$setExternalResults({ name: 'Taken', 'address.city': 'Unknown' })
+      vm.name = 'y'
+      return Vue.nextTick()
+        .then(() => {
+          expect(vm.$v.name.$externalResults).to.deep.equal([])
+          expect(vm.$v.address.city.$externalResults).to.deep.equal(['Unknown'])
+          vm.name = 'x'
+          return Vue.nextTick()
+        })
+        .then(() => {
+          expect(vm.$v.name.$externalResults).to.deep.equal([])
+        })
+    })
+
+    it('should clear results when the parent object is replaced', () => {
+      const vm = setup()
+      vm.$v.$setExternalResults({ 'address.city': 'Unknown' })
+      vm.address = { city: 'Rome' }
+      return Vue.nextTick().then(() => {
+        expect(vm.$v.address.city.$externalResults).to.deep.equal([])
+      })
+    })
+
+    it('should accept $v paths going through $each', () => {
+      const vm = setup()
+      vm.$v.$setExternalResults({ 'items.$each.1.name': 'Too short' })
+      expect(vm.$v.items.$each[1].name.$externalResults).to.deep.equal([
+        'Too short'
+      ])
+    })
+
+    it('should resolve $each items through $trackBy', () => {
+      const vm = new Vue({
+        data: {
+          items: [{ id: 'a1', name: 'a' }, { id: 'b2', name: 'b' }]
+        },
+        validations: {
+          items: { $each: { $trackBy: 'id', name: { T } } }
+        }
+      })
+      vm.$v.$setExternalResults({
+        'items.b2.name': 'Too short',
+        'items.0': 'Bad',
+        'items.1.name': 'Required'
+      })
+      expect(vm.$v.items.$each[1].name.$externalResults).to.deep.equal([
+        'Too short',
+        'Required'
+      ])
+      expect(vm.$v.items.$each[0].$externalResults).to.deep.equal(['Bad'])
+    })
+
+    it('should accept adapter output', () => {
+      const vm = setup()
+      vm.$v.$setExternalResults(
+        fromLaravel({ errors: { 'items.0.name': ['Required'] } })
+      )
+      expect(vm.$v.items.$each[0].name.$message).to.equal('Required')
+    })
+
+    it('should throw when results are not an object', () => {
+      const vm = setup()
+      expect(() => vm.$v.$setExternalResults('error')).to.throw(
+        'external results must be an object'
+      )
+    })
+  })
+
+  describe('useVuelidate', () => {
+    const ref = (value) => {
+      const r = new Vue({ data: { value } })
+      return Object.defineProperties(
+        {},
+        {
+          __v_isRef: { value: true },
+          value: {
+            get: () => r.value,
+            set: (v) => {
+              r.value = v
+            }
+          }
+        }
+      )
+    }
+
+    it('should validate a plain state object', () => {
+      const state = { value: 4 }
+      const $v = useVuelidate({ value: { isEven } }, state)
+      expect($v.value.$invalid).to.be.false
+      state.value = 3
+      expect($v.value.$invalid).to.be.true
+    })
+
+    it('should validate refs in state', () => {
+      const value = ref(4)
+      const $v = useVuelidate({ value: { isEven } }, { value })
+      expect($v.value.$invalid).to.be.false
+      value.value = 3
+      expect($v.value.$invalid).to.be.true
+    })
+
+    it('should validate a state ref', () => {
+      const state = ref({ value: 3 })
+      const $v = useVuelidate({ value: { isEven } }, state)
+      expect($v.value.$invalid).to.be.true
+      state.value = { value: 2 }
+      expect($v.value.$invalid).to.be.false
+    })
+
+    it('should write refs through $model', () => {
+      const value = ref(4)
+      const $v = useVuelidate({ value: { isEven } }, { value })
+      $v.value.$model = 5
+      expect(value.value).to.equal(5)
+      expect($v.value.$dirty).to.be.true
+      expect($v.value.$invalid).to.be.true
+    })
+
+    it('should validate nested state', () => {
+      const state = { nested: { value: 1 } }
+      const $v = useVuelidate({ nested: { value: { isOdd } } }, state)
+      expect($v.nested.value.$invalid).to.be.false
+      state.nested.value = 2
+      expect($v.$invalid).to.be.true
+    })
+
+    it('should support validation groups', () => {
+      const state = { value1: 1, value2: 2 }
+      const $v = useVuelidate(
+        {
+          group: ['value1', 'value2'],
+          value1: { isOdd },
+          value2: { isOdd }
+        },
+        state
+      )
+      expect($v.group.$invalid).to.be.true
+      state.value2 = 3
+      expect($v.group.$invalid).to.be.false
+    })
+
+    it('should call validations function with state model', () => {
+      const state = { value: 3, strict: true }
+      const $v = useVuelidate(function() {
+        return { value: this.strict ? { isEven } : {} }
+      }, state)
+      expect($v.$invalid).to.be.true
+      state.strict = false
+      expect($v.$invalid).to.be.false
+    })
+
+    it('should follow keys of validations function', () => {
+      const state = { value: 3, value2: 2, both: false }
+      const $v = useVuelidate(function() {
+        return this.both
+          ? { value: { isEven }, value2: { isEven } }
+          : { value: { isEven } }
+      }, state)
+      expect($v.value2).to.be.undefined
+      state.both = true
+      return Vue.nextTick()
+        .then(() => {
+          expect($v.value2.$invalid).to.be.false
+          state.both = false
+          return Vue.nextTick()
+        })
+        .then(() => {
+          expect($v.value2).to.be.undefined
+        })
+    })
+
+    it('should destroy validation with the given vm', () => {
+      const spy = sinon.stub().returns(true)
+      const vm = new Vue({})
+      const state = { value: 3 }
+      const $v = useVuelidate({ value: { spy } }, state, { vm })
+      expect($v.$invalid).to.be.false
+      vm.$destroy()
+      state.value = 4
+      $v.value.spy
+      expect(spy).to.have.been.calledOnce
+    })
+
+    it('should release watchers with $destroy', () => {
+      const spy = sinon.stub().returns(true)
+      const state = { value: 3 }
+      const $v = useVuelidate({ value: { spy } }, state)
+      expect($v.$invalid).to.be.false
+      expect(Object.keys($v)).to.not.include('$destroy')
+      $v.$destroy()
+      state.value = 4
+      $v.value.spy
+      expect(spy).to.have.been.calledOnce
+    })
+
+    it('should keep $destroy when keys of validations change', () => {
+      const state = { value: 3, both: false }
+      const $v = useVuelidate(function() {
+        return this.both ? { value: { isOdd } } : {}
+      }, state)
+      state.both = true
+      return Vue.nextTick().then(() => {
+        expect($v.value.$invalid).to.be.false
+        expect($v.$destroy).to.be.a('function')
+      })
+    })
+
+    it('should accept a Vue constructor', () => {
+      const $v = useVuelidate({ value: { isEven } }, { value: 2 }, { Vue })
+      expect($v.value.$invalid).to.be.false
+    })
+  })
 })
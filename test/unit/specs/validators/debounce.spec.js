@@ -0,0 +1,117 @@
+import debounce from 'src/validators/debounce'
+import { createAbortController } from 'src/abort'
+import Vue from 'vue'
+import { minLength } from 'src/validators'
+import { withMessage } from 'src/messages'
+import { withSeverity } from 'src/severity'
+
+const F = () => false
+
+describe('debounce validator', () => {
+  let clock
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers()
+  })
+
+  afterEach(() => {
+    clock.restore()
+  })
+
+  it('should return a promise immediately', () => {
+    const spy = sinon.stub().returns(true)
+    expect(debounce(100, spy)('x')).to.be.an.instanceof(Promise)
+    expect(spy).to.not.have.been.called
+  })
+
+  it('should call the validator after wait', () => {
+    const spy = sinon.stub().returns(true)
+    const result = debounce(100, spy)('x', 'parent')
+    clock.tick(99)
+    expect(spy).to.not.have.been.called
+    clock.tick(1)
+    expect(spy).to.have.been.calledWith('x', 'parent')
+    return result.then((value) => {
+      expect(value).to.be.true
+    })
+  })
+
+  it('should preserve context', () => {
+    const spy = sinon.stub().returns(true)
+    const ctx = {}
+    debounce(10, spy).call(ctx, 'x')
+    clock.tick(10)
+    expect(spy).to.have.been.calledOn(ctx)
+  })
+
+  it('should resolve with async validator result', () => {
+    const result = debounce(10, () => Promise.resolve(false))('x')
+    clock.tick(10)
+    return result.then((value) => {
+      expect(value).to.be.false
+    })
+  })
+
+  it('should reject when validator throws', () => {
+    const result = debounce(10, () => {
+      throw new Error('failed')
+    })('x')
+    clock.tick(10)
+    return result.then(
+      () => expect.fail(),
+      (error) => expect(error.message).to.equal('failed')
+    )
+  })
+
+  it('should not call the validator when aborted', () => {
+    const spy = sinon.stub().returns(true)
+    const controller = createAbortController()
+    const result = debounce(100, spy)('x', null, controller.signal)
+    controller.abort()
+    clock.tick(100)
+    expect(spy).to.not.have.been.called
+    return result.then((value) => {
+      expect(value).to.be.false
+    })
+  })
+
+  it('should not call the validator when already aborted', () => {
+    const spy = sinon.stub().returns(true)
+    const controller = createAbortController()
+    controller.abort()
+    debounce(100, spy)('x', null, controller.signal)
+    clock.tick(100)
+    expect(spy).to.not.have.been.called
+  })
+
+  it('should keep metadata of the validator', () => {
+    const rule = debounce(10, withSeverity('warning', withMessage('msg', F)))
+    expect(rule.$message).to.equal('msg')
+    expect(rule.$severity).to.equal('warning')
+  })
+
+  it('should expose params and message of builtin validators', () => {
+    const vm = new Vue({
+      data: { value: 'ab' },
+      validations: { value: { rule: debounce(10, minLength(3)) } }
+    })
+    expect(vm.$v.value.$pending).to.be.true
+    expect(vm.$v.value.$params.rule).to.deep.equal({
+      type: 'minLength',
+      min: 3
+    })
+    clock.tick(10)
+    return Promise.resolve()
+      .then(() => {})
+      .then(() => {
+        expect(vm.$v.value.rule).to.be.false
+        expect(vm.$v.value.$params.rule).to.deep.equal({
+          type: 'minLength',
+          min: 3
+        })
+        expect(vm.$v.value.$message).to.equal(
+          'Must be at least 3 characters long'
+        )
+      })
+  })
+})
@@ -0,0 +1,100 @@
+import throttle from 'src/validators/throttle'
+import { createAbortController } from 'src/abort'
+import Vue from 'vue'
+import { minLength } from 'src/validators'
+import { withMessage } from 'src/messages'
+import { withSeverity } from 'src/severity'
+
+describe('throttle validator', () => {
+  let clock
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers()
+  })
+
+  afterEach(() => {
+    clock.restore()
+  })
+
+  it('should call the validator immediately on first run', () => {
+    const spy = sinon.stub().returns(true)
+    expect(throttle(100, spy)('x')).to.be.true
+    expect(spy).to.have.been.calledWith('x')
+  })
+
+  it('should delay runs within the wait window', () => {
+    const spy = sinon.stub().returns(true)
+    const rule = throttle(100, spy)
+    rule('x')
+    clock.tick(40)
+    const result = rule('y')
+    expect(result).to.be.an.instanceof(Promise)
+    clock.tick(59)
+    expect(spy).to.have.been.calledOnce
+    clock.tick(1)
+    expect(spy).to.have.been.calledTwice
+    expect(spy.secondCall.args[0]).to.equal('y')
+  })
+
+  it('should call immediately after the wait window', () => {
+    const spy = sinon.stub().returns(true)
+    const rule = throttle(100, spy)
+    rule('x')
+    clock.tick(100)
+    expect(rule('y')).to.be.true
+    expect(spy).to.have.been.calledTwice
+  })
+
+  it('should skip delayed runs that were aborted', () => {
+    const spy = sinon.stub().returns(true)
+    const rule = throttle(100, spy)
+    rule('x')
+    const first = createAbortController()
+    rule('y', null, first.signal)
+    first.abort()
+    rule('z', null, createAbortController().signal)
+    clock.tick(100)
+    expect(spy).to.have.been.calledTwice
+    expect(spy.secondCall.args[0]).to.equal('z')
+  })
+
+  it('should keep metadata of the validator', () => {
+    const rule = throttle(10, withMessage('msg', () => true))
+    expect(rule.$message).to.equal('msg')
+  })
+
+  it('should expose params of builtin validators', () => {
+    const vm = new Vue({
+      data: { value: 'ab' },
+      validations: { value: { rule: throttle(100, minLength(3)) } }
+    })
+    expect(vm.$v.value.rule).to.be.false
+    expect(vm.$v.value.$params.rule).to.deep.equal({
+      type: 'minLength',
+      min: 3
+    })
+    clock.tick(10)
+    vm.value = 'a'
+    expect(vm.$v.value.$pending).to.be.true
+    expect(vm.$v.value.$params.rule).to.deep.equal({
+      type: 'minLength',
+      min: 3
+    })
+  })
+
+  it('should share the window among models of the rule', () => {
+    const spy = sinon.stub().returns(true)
+    const vm = new Vue({
+      data: { list: ['a', 'b'] },
+      validations: { list: { $each: { rule: throttle(100, spy) } } }
+    })
+    expect(vm.$v.list.$each[0].rule).to.be.true
+    expect(vm.$v.list.$each[1].$pending).to.be.true
+    clock.tick(40)
+    vm.list.push('c')
+    expect(vm.$v.list.$each[2].$pending).to.be.true
+    expect(spy).to.have.been.calledOnce
+    clock.tick(60)
+    expect(spy).to.have.been.calledThrice
+  })
+})
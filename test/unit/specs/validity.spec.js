@@ -0,0 +1,99 @@
+import Vue from 'vue'
+import { withMessage } from 'src'
+import { vValidity, getValidityMessage } from 'src/validity'
+
+const isOdd = withMessage('Must be odd', (v) => v % 2 === 1)
+
+describe('v-validity directive', () => {
+  const mount = (template, data = {}, validations) =>
+    new Vue({
+      directives: { validity: vValidity },
+      data: { value: 4, show: true, ...data },
+      validations: validations || { value: { isOdd } },
+      template
+    }).$mount()
+
+  it('should set the custom validity of invalid models', () => {
+    const vm = mount('<input v-validity="$v.value">')
+    expect(vm.$el.validationMessage).to.equal('Must be odd')
+    expect(vm.$el.checkValidity()).to.be.false
+  })
+
+  it('should clear the custom validity once valid', () => {
+    const vm = mount('<input v-validity="$v.value">')
+    vm.value = 5
+    return Vue.nextTick().then(() => {
+      expect(vm.$el.validationMessage).to.equal('')
+      expect(vm.$el.checkValidity()).to.be.true
+    })
+  })
+
+  it('should make the form invalid', () => {
+    const vm = mount('<form><input v-validity="$v.value"></form>')
+    expect(vm.$el.checkValidity()).to.be.false
+    vm.value = 7
+    return Vue.nextTick().then(() => {
+      expect(vm.$el.checkValidity()).to.be.true
+    })
+  })
+
+  it('should not be invalid while pending', () => {
+    let resolve
+    const asyncVal = withMessage('Taken', () => {
+      return new Promise((r) => {
+        resolve = r
+      })
+    })
+    const vm = mount(
+      '<input v-validity="$v.value">',
+      {},
+      {
+        value: { asyncVal }
+      }
+    )
+    expect(vm.$el.validationMessage).to.equal('')
+    resolve(false)
+    return new Promise((r) => setTimeout(r)).then(() => {
+      expect(vm.$el.validationMessage).to.equal('Taken')
+    })
+  })
+
+  it('should follow changes of the bound model', () => {
+    const vm = mount(
+      '<input v-validity="useOther ? $v.other : $v.value" :data-x="useOther">',
+      { other: 5, useOther: false },
+      { value: { isOdd }, other: { isOdd } }
+    )
+    expect(vm.$el.checkValidity()).to.be.false
+    vm.useOther = true
+    return Vue.nextTick().then(() => {
+      expect(vm.$el.checkValidity()).to.be.true
+    })
+  })
+
+  it('should stop watching on unbind', () => {
+    const vm = mount('<div><input v-if="show" v-validity="$v.value"></div>')
+    const input = vm.$el.querySelector('input')
+    vm.show = false
+    return Vue.nextTick()
+      .then(() => {
+        vm.value = 5
+        return Vue.nextTick()
+      })
+      .then(() => {
+        expect(input.validationMessage).to.equal('Must be odd')
+      })
+  })
+
+  describe('getValidityMessage', () => {
+    it('should be empty without a model', () => {
+      expect(getValidityMessage(null)).to.equal('')
+    })
+
+    it('should fall back to the default message', () => {
+      expect(
+        getValidityMessage({ $invalid: true, $pending: false, $message: null })
+      ).to.equal('Value is invalid')
+    })
+  })
+})
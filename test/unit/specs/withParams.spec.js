@@ -8,6 +8,12 @@ describe('withParams validator modifier', () => {
     _setTarget(null)
   })
 
+  it('should expose static params', () => {
+    const params = { type: 'func' }
+    expect(withParams(params, func).$params).to.equal(params)
+    expect(withParams((add) => func).$params).to.be.undefined
+  })
+
   it('should throw on invalid params', () => {
     expect(() => withParams([], func)).to.throw
   })